@@ -1,5 +1,14 @@
 // Import the initiative tracker
-import { SR2InitiativeTracker } from '../initiative-tracker.js';
+import { getInitiativeTracker } from '../initiative-tracker.js';
+import { SR2OpposedTest, OPPOSED_TEST_TYPES } from '../opposed-test.js';
+import { SR2InitiativeRoll } from '../dice.js';
+import { COMBAT_TURN_POOLS, INITIATIVE_MODES, SPELL_SUSTAINERS } from './actor.js';
+import { FIRING_MODES } from '../item/item.js';
+import { getAutofireDamage, getConjuringDrain } from '../damage.js';
+import { getCombatPhaseKey } from '../combat.js';
+import { SR2AreaAttack, AREA_DELIVERIES } from '../area-attack.js';
+import { SR2Conjuring, SPIRIT_TYPES } from '../spirits.js';
+import { RANGE_BANDS, getRangeBand, getRangedModifiers, getWeaponRanges, loadRangesData, measureTokenDistance, resolveRangeType } from '../target-modifiers.js';
 
 /**
  * Extend the basic ActorSheet with Shadowrun 2E specific functionality
@@ -83,6 +92,7 @@ export class SR2ActorSheet extends ActorSheet {
     if (actorData.type == 'character') {
       this._prepareItems(context);
       this._prepareCharacterData(context);
+      this._prepareSpirits(context);
       await this._prepareSkillsData(context);
     }
 
@@ -138,6 +148,7 @@ export class SR2ActorSheet extends ActorSheet {
     context.cyberware = cyberware;
     context.bioware = bioware;
     context.spells = spells;
+    context.spellSustainers = SPELL_SUSTAINERS;
     context.adeptpowers = adeptpowers;
     context.skills = skills;
 
@@ -194,6 +205,21 @@ export class SR2ActorSheet extends ActorSheet {
     }, 0);
   }
 
+  /**
+   * Prepare the spirits this character summoned for the Spirits tab
+   */
+  _prepareSpirits(context) {
+    context.spirits = this.actor.getSummonedSpirits().map(spirit => ({
+      id: spirit.id,
+      name: spirit.name,
+      img: spirit.img,
+      type: SPIRIT_TYPES[spirit.system.spiritType]?.label || 'Spirit',
+      force: spirit.system.attributes.force?.value || 1,
+      services: spirit.system.services,
+      bound: SR2Conjuring.isBound(spirit.system.spiritType)
+    }));
+  }
+
   /**
    * Prepare character specific data
    */
@@ -214,6 +240,21 @@ export class SR2ActorSheet extends ActorSheet {
       reaction: attrs.reaction.value, // Already includes modifiers
       initiativeDice: 1 + (modifiers.INI || 0)
     };
+
+    // Initiative mode and the cyberdeck or vehicle it draws from
+    context.initiativeModes = INITIATIVE_MODES;
+    context.initiative = this.actor.getInitiative();
+    context.linkedActors = {
+      cyberdeck: game.actors.filter(a => a.type === 'cyberdeck' && a.isOwner),
+      vehicle: game.actors.filter(a => a.type === 'vehicle' && a.isOwner)
+    };
+
+    // Weapons mounted on the linked vehicle or drone
+    const vehicle = this.actor.getLinkedActor('vehicle');
+    context.linkedVehicle = vehicle?.isOwner ? vehicle : null;
+    context.vehicleWeapons = context.linkedVehicle
+      ? vehicle.items.filter(i => i.type === 'weapon').map(i => i.toObject(false))
+      : [];
   }
 
   /**
@@ -368,9 +409,19 @@ export class SR2ActorSheet extends ActorSheet {
 
     // Spell casting
     html.find('.spell-cast').click(this._onSpellCast.bind(this));
+    html.find('.sustained-drop').click(this._onSustainedDrop.bind(this));
+    html.find('.sustained-by, .sustainer-name').change(this._onSustainedChange.bind(this));
+    html.find('.conjure-spirit').click(this._onConjureSpirit.bind(this));
+    html.find('.banish-spirit').click(this._onBanishSpirit.bind(this));
+    html.find('.control-spirit').click(this._onControlSpirit.bind(this));
+    html.find('.spirit-open').click(this._onSpiritOpen.bind(this));
+    html.find('.spirit-order-service').click(this._onOrderService.bind(this));
+    html.find('.spirit-dismiss').click(this._onDismissSpirit.bind(this));
 
     // Weapon attacks
     html.find('.weapon-attack').click(this._onWeaponAttack.bind(this));
+    html.find('.range-from-tokens').click(this._onRangeFromTokens.bind(this));
+    html.find('.weapon-reload').click(this._onWeaponReload.bind(this));
 
     // Range calculator
     html.find('.range-weapon-select').change(this._onRangeWeaponChange.bind(this));
@@ -479,21 +530,10 @@ export class SR2ActorSheet extends ActorSheet {
 
     if (!confirmed) return;
 
-    // Build update data for all pools
-    const updateData = {};
-    const poolData = this.actor.system.pools;
-
     // Reset all pools except karma (karma is managed differently)
-    const poolTypes = ['combat', 'spell', 'hacking', 'control', 'task', 'astral'];
-
-    poolTypes.forEach(poolType => {
-      if (poolData[poolType]) {
-        updateData[`system.pools.${poolType}.current`] = poolData[poolType].max;
-      }
-    });
-
-    // Update the actor
-    await this.actor.update(updateData);
+    const poolData = this.actor.system.pools;
+    const poolTypes = COMBAT_TURN_POOLS;
+    await this.actor.refreshPools();
 
     // Show confirmation message
     ui.notifications.info(`All dice pools reset to maximum for ${this.actor.name}`);
@@ -914,15 +954,43 @@ export class SR2ActorSheet extends ActorSheet {
 
   /**
    * Show Target Number selection dialog
+   * Extra TN modifiers ({ label, value, enabled }) are listed as checkboxes.
+   * An opposed option ({ type, defenseTN, attack }) always rolls as an opposed
+   * test against the targeted tokens. Pool dice already allocated to the test
+   * (e.g. { spell: 2 }) are added and spent on the roll; those pools are not
+   * offered again. Rolls that another chat card carries forward are locked
+   * against Karma Pool.
+   * Resolves to the roll result, or null if the dialog was cancelled
    */
-  async _showTargetNumberDialog(dicePool, title, rollType, defaultTN = 4) {
-    const availablePools = this._getAvailablePools();
+  async _showTargetNumberDialog(dicePool, title, rollType, defaultTN = 4, { modifiers = [], opposed = null, allocatedPools = {}, lockKarma = false } = {}) {
+    const allocated = this._getAvailablePools().filter(pool => (allocatedPools[pool.key] || 0) > 0)
+      .map(pool => ({ pool, dice: Math.min(allocatedPools[pool.key], pool.current) }));
+    const availablePools = this._getAvailablePools().filter(pool => !(pool.key in allocatedPools));
+    const wounds = this.actor.system.wounds || {};
+    // Itemized modifiers can carry the wound modifier themselves
+    const woundModifier = modifiers.some(modifier => modifier.key === 'wounds') ? 0 : (wounds.tn || 0);
+
+    // Every spell the actor sustains adds +2 to all their tests
+    const sustaining = this.actor.getSustainingModifier();
+    if (sustaining > 0 && !modifiers.some(modifier => modifier.key === 'sustaining')) {
+      modifiers = [...modifiers, { key: 'sustaining', label: `Sustaining ${sustaining / 2} spell(s)`, value: sustaining, enabled: true }];
+    }
+
+    // Targeted tokens can be challenged to an opposed test
+    const targets = Array.from(game.user.targets);
+    const canOppose = !opposed && targets.length > 0 && !['attack', 'drain', 'area'].includes(rollType);
+    const defaultOpposedType = SR2OpposedTest.getDefaultType(rollType);
+
+    let rolled = false;
+    let resolveRoll;
+    const rollResult = new Promise(resolve => resolveRoll = resolve);
 
     const content = `
       <div class="target-number-dialog">
         <div class="roll-info">
           <h3>${title}</h3>
           <p><strong>Base Dice Pool:</strong> ${dicePool}</p>
+          ${allocated.map(({ pool, dice }) => `<p><strong>Allocated:</strong> +${dice} ${pool.name}</p>`).join('')}
         </div>
         
         <div class="target-number-section">
@@ -960,6 +1028,46 @@ export class SR2ActorSheet extends ActorSheet {
           </select>
         </div>
 
+        ${woundModifier > 0 ? `
+        <div class="wound-modifier-section">
+          <label>
+            <input type="checkbox" name="applyWoundModifier" ${wounds.ignore ? '' : 'checked'}>
+            <strong>Apply Wound Modifier (+${woundModifier} TN)</strong>
+          </label>
+          <small>Physical: ${wounds.physical?.label || 'Uninjured'}, Stun: ${wounds.stun?.label || 'Uninjured'}</small>
+        </div>
+        ` : ''}
+
+        ${modifiers.length > 0 ? `
+        <div class="tn-modifiers-section">
+          <label><strong>Target Number Modifiers:</strong></label>
+          ${modifiers.map((modifier, index) => `
+            <div class="tn-modifier">
+              <label>
+                <input type="checkbox" name="tnModifier-${index}" ${modifier.enabled === false ? '' : 'checked'}>
+                ${modifier.label} (${modifier.value >= 0 ? '+' : ''}${modifier.value} TN)
+              </label>
+            </div>
+          `).join('')}
+        </div>
+        ` : ''}
+
+        ${canOppose ? `
+        <div class="opposed-test-section">
+          <label>
+            <input type="checkbox" name="opposedTest">
+            <strong>Opposed Test vs ${targets.map(t => t.name).join(', ')}</strong>
+          </label>
+          <select name="opposedType">
+            ${Object.entries(OPPOSED_TEST_TYPES).filter(([, type]) => type.selectable !== false).map(([key, type]) => `
+              <option value="${key}" ${key === defaultOpposedType ? 'selected' : ''}>${type.label}</option>
+            `).join('')}
+          </select>
+          <label for="defense-tn">Defender TN:</label>
+          <input type="number" id="defense-tn" name="defenseTN" value="4" min="2" max="30">
+        </div>
+        ` : ''}
+
         ${availablePools.length > 0 ? `
         <div class="pool-dice-section">
           <label><strong>Pool Dice (Optional):</strong></label>
@@ -1014,13 +1122,23 @@ export class SR2ActorSheet extends ActorSheet {
           icon: '<i class="fas fa-dice-d6"></i>',
           label: "Roll",
           callback: async (html) => {
-            const targetNumber = parseInt(html.find('#target-number').val());
+            rolled = true;
+            let targetNumber = parseInt(html.find('#target-number').val());
+            const applyWounds = html.find('input[name="applyWoundModifier"]').is(':checked');
+            if (applyWounds) {
+              targetNumber += woundModifier;
+            }
+            const appliedModifiers = modifiers.filter((modifier, index) => html.find(`input[name="tnModifier-${index}"]`).is(':checked'));
+            appliedModifiers.forEach(modifier => {
+              targetNumber += modifier.value;
+            });
+            targetNumber = Math.max(2, targetNumber);
             const diceModifier = parseInt(html.find('#dice-modifier').val()) || 0;
             let finalDicePool = dicePool + diceModifier;
 
             // Handle pool dice
-            const poolsUsed = [];
-            let totalPoolDice = 0;
+            const poolsUsed = allocated.filter(({ dice }) => dice > 0);
+            let totalPoolDice = poolsUsed.reduce((total, { dice }) => total + dice, 0);
 
             availablePools.forEach(pool => {
               const checkbox = html.find(`input[name="pool-${pool.key}"]`);
@@ -1047,23 +1165,49 @@ export class SR2ActorSheet extends ActorSheet {
 
             // Update actor's pool values
             if (poolsUsed.length > 0) {
-              const updateData = {};
+              const spending = {};
               poolsUsed.forEach(({ pool, dice }) => {
-                const newCurrent = Math.max(0, pool.current - dice);
-                updateData[`system.pools.${pool.key}.current`] = newCurrent;
+                spending[pool.key] = dice;
               });
-              await this.actor.update(updateData);
+              await this.actor.spendPools(spending, title);
             }
 
             // Create enhanced title with pool info
             let finalTitle = `${title} (TN ${targetNumber})`;
+            if (applyWounds) {
+              finalTitle += ` [+${woundModifier} wounds]`;
+            }
+            appliedModifiers.forEach(modifier => {
+              finalTitle += ` [${modifier.value >= 0 ? '+' : ''}${modifier.value} ${modifier.label}]`;
+            });
             if (poolsUsed.length > 0) {
               const poolInfo = poolsUsed.map(({ pool, dice }) => `${dice} ${pool.name}`).join(', ');
               finalTitle += ` [+${totalPoolDice} from ${poolInfo}]`;
             }
 
-            // Roll the dice
-            this.actor.rollDice(finalDicePool, targetNumber, finalTitle);
+            // Roll the dice, as an opposed test if one was requested
+            let result;
+            if (opposed) {
+              result = await SR2OpposedTest.start(this.actor, {
+                ...opposed,
+                dicePool: finalDicePool,
+                targetNumber: targetNumber,
+                title: finalTitle,
+                targets: opposed.targets || targets.map(t => t.document.uuid)
+              });
+            } else if (canOppose && html.find('input[name="opposedTest"]').is(':checked')) {
+              result = await SR2OpposedTest.start(this.actor, {
+                type: html.find('select[name="opposedType"]').val(),
+                dicePool: finalDicePool,
+                targetNumber: targetNumber,
+                defenseTN: parseInt(html.find('#defense-tn').val()) || 4,
+                title: finalTitle,
+                targets: targets.map(t => t.document.uuid)
+              });
+            } else {
+              result = await this.actor.rollDice(finalDicePool, targetNumber, finalTitle, { lockKarma });
+            }
+            resolveRoll({ ...result, dicePool: finalDicePool, targetNumber: targetNumber, modifiers: appliedModifiers });
           }
         },
         cancel: {
@@ -1072,6 +1216,9 @@ export class SR2ActorSheet extends ActorSheet {
         }
       },
       default: "roll",
+      close: () => {
+        if (!rolled) resolveRoll(null);
+      },
       render: (html) => {
         // Enable/disable pool dice inputs when checkboxes are toggled
         html.find('input[type="checkbox"]').change(function () {
@@ -1085,6 +1232,7 @@ export class SR2ActorSheet extends ActorSheet {
     });
 
     dialog.render(true);
+    return rollResult;
   }
 
   /**
@@ -1102,6 +1250,9 @@ export class SR2ActorSheet extends ActorSheet {
 
   /**
    * Handle spell casting
+   * The Sorcery Test is rolled against the target's Willpower (mana) or Body
+   * (physical), and a resisted spell becomes an opposed test the target answers
+   * with the same attribute against the Force. Drain is resisted afterwards.
    */
   async _onSpellCast(event) {
     event.preventDefault();
@@ -1110,25 +1261,505 @@ export class SR2ActorSheet extends ActorSheet {
 
     if (!spell) return;
 
-    const force = spell.system.force || 1;
-    const magicRating = this.actor.system.attributes.magic.value || 1;
+    const force = Number(spell.system.force) || 1;
+    const category = spell.getSpellCategory();
+    const spellType = spell.getSpellType();
+    const damage = spell.getSpellDamage();
     const sorcerySkill = this._getHighestSorcerySkill();
 
-    // Calculate dice pool for spellcasting
-    const dicePool = magicRating + sorcerySkill;
+    const spellData = {
+      name: spell.name,
+      category: category.key,
+      type: spellType.key,
+      force: force,
+      level: damage.level,
+      stun: damage.stun,
+      sustain: null
+    };
 
-    const title = `Casting ${spell.name} (Force ${force})`;
+    // Area spells are centered on the targeted token and catch everyone within Force meters
+    const target = game.user.targets.first();
+    if (spell.isAreaSpell && (!canvas.ready || !target)) {
+      ui.notifications.warn(`Target a token to center ${spell.name} on.`);
+      return;
+    }
+    const caught = spell.isAreaSpell ? SR2AreaAttack.getTokensInRadius(target.center, force) : [];
+
+    // A sustained spell is recorded once it takes effect; a resisted one waits for its opposed test
+    if (spell.getSpellDuration().key === 'sustained') {
+      spellData.sustain = {
+        id: foundry.utils.randomID(),
+        spellId: spell.id,
+        target: spell.isAreaSpell ? `Area around ${target.name}` : (target?.name || ''),
+        targetUuid: target?.document.uuid || ''
+      };
+    }
+
+    // A targeted living being resists the spell with Willpower or Body; an area
+    // spell is cast against the toughest target caught in it
+    const resistance = actor => actor?.system.attributes?.[spellType.resistAttribute]?.value || 4;
+    let targetNumber = 4;
+    let opposed = null;
+    if (spell.isAreaSpell) {
+      if (category.resisted && caught.length > 0) {
+        targetNumber = Math.max(2, ...caught.map(({ token }) => resistance(token.actor)));
+      }
+    } else if (target?.actor && category.resisted) {
+      targetNumber = Math.max(2, resistance(target.actor));
+      opposed = {
+        type: 'spell',
+        defenseTN: force,
+        defenseAttribute: spellType.resistAttribute,
+        spell: spellData
+      };
+    }
+
+    const title = `Casting ${spell.name} (${category.label}, ${spellType.label}, Force ${force}${category.key === 'combat' ? `, ${damage.level}${damage.stun ? ' Stun' : ''}` : ''})`;
+
+    // Split Spell Pool between the Sorcery and Drain Resistance Tests up front
+    const allocation = await this._promptSpellPool(spell, force);
+    if (!allocation) return;
 
     // Show TN selection dialog and roll for spellcasting
-    await this._showTargetNumberDialog(dicePool, title, 'spell', 4);
+    const castResult = await this._showTargetNumberDialog(Math.max(1, sorcerySkill), title, spell.isAreaSpell ? 'area' : 'spell', Math.min(30, targetNumber), {
+      opposed,
+      allocatedPools: { spell: allocation.cast },
+      lockKarma: spell.isAreaSpell || !!spellData.sustain
+    });
+    if (!castResult) return;
+
+    // Every token in the area resists separately from the area spell card
+    if (spell.isAreaSpell) {
+      await SR2AreaAttack.resolveSpell(this.actor, spellData, {
+        center: target.center,
+        caught: caught,
+        result: castResult,
+        resisted: category.resisted,
+        defenseAttribute: spellType.resistAttribute
+      });
+    }
+
+    // An unresisted sustained spell that succeeds stays up until the caster drops it
+    const resisted = opposed || (spell.isAreaSpell && category.resisted);
+    if (spellData.sustain && !resisted && castResult.successes > 0 && !castResult.isCriticalFailure) {
+      const entry = await this.actor.sustainSpell({
+        ...spellData.sustain,
+        name: spell.name,
+        force: force,
+        successes: castResult.successes
+      });
+      await this.actor.postSustainedSpell(entry);
+    }
+
+    await this._rollDrain(spell, force, allocation.drain);
+
+    // Leftover dice stay available for spell defense until the pools refresh
+    const spellPool = this.actor.system.pools?.spell;
+    if (spellPool?.max > 0) {
+      ui.notifications.info(`${this.actor.name} has ${spellPool.current} Spell Pool dice left for spell defense this Combat Turn.`);
+    }
+  }
+
+  /**
+   * Handle conjuring a spirit
+   * Conjuring is rolled against the spirit's Force and every success is a
+   * service owed. Drain is resisted with Charisma, then a successful conjuring
+   * creates the spirit actor beside the magician.
+   */
+  async _onConjureSpirit(event) {
+    event.preventDefault();
+
+    const spiritTypes = SR2Conjuring.getSpiritTypes(this.actor);
+    if (spiritTypes.length === 0) {
+      ui.notifications.warn(`${this.actor.name} needs a hermetic or shamanic tradition to conjure spirits.`);
+      return;
+    }
+
+    const choice = await this._promptSpiritType(spiritTypes);
+    if (!choice) return;
+
+    const type = spiritTypes.find(t => t.key === choice.type) || spiritTypes[0];
+    const force = choice.force;
+    const conjuring = this.actor._getSkillRating('Conjuring');
+    if (conjuring <= 0) {
+      ui.notifications.warn(`${this.actor.name} has no Conjuring skill and cannot default on it.`);
+      return;
+    }
+
+    const conjureResult = await this._showTargetNumberDialog(conjuring, `Conjuring ${type.label} (Force ${force})`, 'conjure', Math.min(30, force), { lockKarma: true });
+    if (!conjureResult) return;
+
+    // Drain is resisted whether or not the spirit answers
+    await this._rollConjuringDrain(force, `conjuring ${type.label}`);
+
+    const services = conjureResult.isCriticalFailure ? 0 : conjureResult.successes;
+    const spirit = services > 0 ? await SR2Conjuring.createSpirit(this.actor, type.key, force, services) : null;
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      content: `
+        <div class="conjuring sr2-chat-card">
+          <h3>${this.actor.name} conjures a ${type.label}</h3>
+          <p><strong>Force:</strong> ${force} &nbsp; <strong>Successes:</strong> ${conjureResult.successes}</p>
+          ${services > 0
+            ? `<p>The spirit answers and owes <strong>${services}</strong> service(s).${spirit ? '' : ' Create the spirit actor by hand.'}</p>`
+            : `<p class="attack-missed">No spirit answers the call.</p>`}
+        </div>
+      `
+    });
+  }
+
+  /**
+   * Resist and apply the drain of conjuring, banishing or controlling a spirit
+   * Drain is resisted with Charisma against the spirit's Force.
+   */
+  async _rollConjuringDrain(force, source) {
+    const charisma = this.actor.system.attributes.charisma.value || 1;
+    const drain = getConjuringDrain(force, charisma);
+    const drainResult = await this._showTargetNumberDialog(charisma, `Drain for ${source} (${drain.power}${drain.level})`, 'drain', Math.min(30, drain.power));
+    if (drainResult) {
+      await this.actor.applyDrain(drain, drainResult.successes, { source, force });
+    }
+  }
+
+  /**
+   * Get the spirit token the user has targeted, warning when there isn't exactly one
+   */
+  _getTargetedSpirit(action) {
+    const targets = Array.from(game.user.targets).filter(token => token.actor?.type === 'spirit');
+    if (targets.length !== 1) {
+      ui.notifications.warn(`Target one spirit token to ${action}.`);
+      return null;
+    }
+    return targets[0];
+  }
+
+  /**
+   * Handle banishing a targeted spirit
+   * Conjuring against the spirit's Force is opposed by the spirit's Force
+   * against the banisher's Magic. The spirit's side resolves the net successes.
+   */
+  async _onBanishSpirit(event) {
+    event.preventDefault();
+
+    const token = this._getTargetedSpirit('banish');
+    if (!token) return;
+
+    const conjuring = this.actor._getSkillRating('Conjuring');
+    if (conjuring <= 0) {
+      ui.notifications.warn(`${this.actor.name} has no Conjuring skill and cannot default on it.`);
+      return;
+    }
+
+    const spirit = token.actor;
+    const force = spirit.system.attributes.force?.value || 1;
+    const result = await this._showTargetNumberDialog(conjuring, `Banishing ${token.name} (Force ${force})`, 'banish', Math.min(30, force), {
+      opposed: {
+        type: 'banishing',
+        defenseTN: this.actor.system.attributes.magic?.value || 1,
+        defenseAttribute: 'force',
+        targets: [token.document.uuid],
+        spiritContest: { kind: 'banishing', spiritUuid: token.document.uuid, spiritName: token.name, force: force }
+      }
+    });
+    if (!result) return;
+
+    await this._rollConjuringDrain(force, `banishing ${token.name}`);
+  }
+
+  /**
+   * Handle contesting another summoner for control of a targeted spirit
+   * Both summoners roll Conjuring against the spirit's Force and resist drain;
+   * the spirit's summoner answers from the chat card.
+   */
+  async _onControlSpirit(event) {
+    event.preventDefault();
+
+    const token = this._getTargetedSpirit('contest control of');
+    if (!token) return;
+
+    const spirit = token.actor;
+    const summonerUuid = spirit.system.summonerUuid;
+    if (!summonerUuid) {
+      ui.notifications.warn(`${token.name} has no summoner to contest. Banish it instead.`);
+      return;
+    }
+    if (summonerUuid === this.actor.uuid) {
+      ui.notifications.warn(`${this.actor.name} already controls ${token.name}.`);
+      return;
+    }
+
+    const conjuring = this.actor._getSkillRating('Conjuring');
+    if (conjuring <= 0) {
+      ui.notifications.warn(`${this.actor.name} has no Conjuring skill and cannot default on it.`);
+      return;
+    }
+
+    const force = spirit.system.attributes.force?.value || 1;
+    const result = await this._showTargetNumberDialog(conjuring, `Contest for ${token.name} (Force ${force})`, 'control', Math.min(30, force), {
+      opposed: {
+        type: 'control',
+        defenseTN: force,
+        targets: [summonerUuid],
+        spiritContest: { kind: 'control', spiritUuid: token.document.uuid, spiritName: token.name, force: force, userId: game.user.id }
+      }
+    });
+    if (!result) return;
+
+    await this._rollConjuringDrain(force, `the contest for ${token.name}`);
+  }
+
+  /**
+   * Get the summoned spirit a Spirits tab control refers to
+   */
+  _getSpiritFromElement(element) {
+    const spirit = game.actors.get(element.closest('.item-row').dataset.spiritId);
+    if (spirit && !spirit.isOwner) {
+      ui.notifications.warn(`You do not own ${spirit.name}.`);
+      return null;
+    }
+    return spirit || null;
+  }
+
+  /**
+   * Handle opening a summoned spirit's sheet
+   */
+  _onSpiritOpen(event) {
+    event.preventDefault();
+    game.actors.get(event.currentTarget.closest('.item-row').dataset.spiritId)?.sheet.render(true);
+  }
+
+  /**
+   * Handle ordering a spirit to perform a service
+   * The service is taken from those the spirit owes, recorded in its history and posted to chat.
+   */
+  async _onOrderService(event) {
+    event.preventDefault();
+    const spirit = this._getSpiritFromElement(event.currentTarget);
+    if (!spirit) return;
+
+    const service = await new Promise(resolve => {
+      new Dialog({
+        title: `${this.actor.name} - Order ${spirit.name}`,
+        content: `
+          <div class="order-service-dialog">
+            <p><strong>Services Remaining:</strong> ${spirit.system.services}</p>
+            <div class="form-group">
+              <label for="service-description">Service:</label>
+              <input type="text" id="service-description" placeholder="e.g. Guard the safehouse until dawn">
+            </div>
+          </div>
+        `,
+        buttons: {
+          order: {
+            icon: '<i class="fas fa-hand-point-right"></i>',
+            label: "Order",
+            callback: html => resolve(html.find('#service-description').val().trim() || "Service")
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "order",
+        close: () => resolve(null)
+      }).render(true);
+    });
+    if (!service) return;
+
+    const entry = await spirit.useService(service, { by: this.actor.name });
+    if (!entry) return;
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      content: `
+        <div class="spirit-service sr2-chat-card">
+          <h3>${this.actor.name} orders ${spirit.name}</h3>
+          <p><strong>Service:</strong> ${Handlebars.escapeExpression(service)}</p>
+          <p>${entry.remaining} service(s) remaining.</p>
+        </div>
+      `
+    });
+    this.render(false);
+  }
+
+  /**
+   * Handle dismissing a summoned spirit, forfeiting the services it still owes
+   */
+  async _onDismissSpirit(event) {
+    event.preventDefault();
+    const spirit = this._getSpiritFromElement(event.currentTarget);
+    if (!spirit) return;
+
+    const confirmed = await Dialog.confirm({
+      title: `Dismiss ${spirit.name}`,
+      content: `<p>Release <strong>${spirit.name}</strong>? Its ${spirit.system.services} remaining service(s) are lost.</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false
+    });
+    if (!confirmed) return;
+
+    const services = spirit.system.services;
+    await spirit.dismissSpirit({ by: this.actor.name });
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      content: `
+        <div class="spirit-service sr2-chat-card">
+          <h3>${this.actor.name} dismisses ${spirit.name}</h3>
+          <p>The spirit departs with ${services} service(s) unused.</p>
+        </div>
+      `
+    });
+    this.render(false);
+  }
 
-    // Calculate drain
-    const drainValue = this._calculateDrain(spell.system.drain, force);
-    const drainPool = this.actor.system.attributes.willpower.value + magicRating;
+  /**
+   * Ask which spirit type to conjure and at what Force
+   * Resolves to { type, force }, or null if cancelled.
+   */
+  async _promptSpiritType(spiritTypes) {
+    const totem = this.actor.items.find(i => i.type === 'totem' && i.system.isSelected);
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${this.actor.name} - Conjure Spirit`,
+        content: `
+          <div class="conjure-dialog">
+            ${totem ? `<p><strong>Totem:</strong> ${totem.name} (${totem.system.environment || 'any environment'})</p>` : ''}
+            <div class="form-group">
+              <label for="spirit-type">Spirit:</label>
+              <select id="spirit-type">
+                ${spiritTypes.map(type => `<option value="${type.key}">${type.label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="spirit-force">Force:</label>
+              <input type="number" id="spirit-force" value="1" min="1" max="12">
+            </div>
+          </div>
+        `,
+        buttons: {
+          conjure: {
+            icon: '<i class="fas fa-ghost"></i>',
+            label: "Conjure",
+            callback: html => resolve({
+              type: html.find('#spirit-type').val(),
+              force: Math.max(1, parseInt(html.find('#spirit-force').val()) || 1)
+            })
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "conjure",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
 
-    // Show TN selection dialog and roll drain resistance
-    const drainTitle = `Drain Resistance for ${spell.name}`;
-    await this._showTargetNumberDialog(drainPool, drainTitle, 'drain', drainValue);
+  /**
+   * Ask how to split the Spell Pool between casting a spell and resisting its drain
+   * Whatever is not allocated stays in the pool for spell defense until the
+   * Combat Turn ends. Resolves to { cast, drain }, or null if cancelled.
+   */
+  async _promptSpellPool(spell, force) {
+    const available = this.actor.system.pools?.spell?.current || 0;
+    if (available <= 0) return { cast: 0, drain: 0 };
+
+    const drain = spell.getDrain(force);
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${spell.name} - Spell Pool`,
+        content: `
+          <div class="spell-pool-dialog">
+            <p><strong>Spell Pool:</strong> ${available} of ${this.actor.system.pools.spell.max} dice left this Combat Turn</p>
+            <div class="form-group">
+              <label for="spell-pool-cast">Sorcery Test (Force ${force}):</label>
+              <input type="number" id="spell-pool-cast" value="0" min="0" max="${available}">
+            </div>
+            <div class="form-group">
+              <label for="spell-pool-drain">Drain Resistance${drain ? ` (${drain.power}${drain.level})` : ''}:</label>
+              <input type="number" id="spell-pool-drain" value="0" min="0" max="${available}">
+            </div>
+            <p class="spell-pool-remaining">Left for spell defense: <strong>${available}</strong></p>
+          </div>
+        `,
+        buttons: {
+          allocate: {
+            icon: '<i class="fas fa-magic"></i>',
+            label: "Allocate",
+            callback: html => {
+              const cast = Math.min(available, Math.max(0, parseInt(html.find('#spell-pool-cast').val()) || 0));
+              const drainDice = Math.min(available - cast, Math.max(0, parseInt(html.find('#spell-pool-drain').val()) || 0));
+              resolve({ cast, drain: drainDice });
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "allocate",
+        render: html => {
+          html.find('input[type="number"]').on('input', () => {
+            const used = (parseInt(html.find('#spell-pool-cast').val()) || 0) + (parseInt(html.find('#spell-pool-drain').val()) || 0);
+            html.find('.spell-pool-remaining strong').text(Math.max(0, available - used));
+            html.find('.spell-pool-remaining').toggleClass('over-limit', used > available);
+          });
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Handle dropping a sustained spell from the Magic tab
+   */
+  async _onSustainedDrop(event) {
+    event.preventDefault();
+    const entry = await this.actor.dropSustainedSpell(event.currentTarget.dataset.sustainedId);
+    if (entry) {
+      ui.notifications.info(`${this.actor.name} stops sustaining ${entry.name}.`);
+    }
+  }
+
+  /**
+   * Handle handing a sustained spell to a focus or spirit, or naming the one holding it
+   */
+  async _onSustainedChange(event) {
+    event.preventDefault();
+    const element = event.currentTarget;
+    const field = element.classList.contains('sustained-by') ? 'sustainedBy' : 'sustainer';
+    await this.actor.updateSustainedSpell(element.dataset.sustainedId, { [field]: element.value });
+  }
+
+  /**
+   * Roll the Drain Resistance Test for a spell and apply the drain
+   * Willpower is rolled against the drain Power with the Spell Pool dice set aside for it.
+   */
+  async _rollDrain(spell, force, poolDice = 0) {
+    const drain = spell.getDrain(force);
+    if (!drain) {
+      ui.notifications.warn(`${spell.name} has no drain code that can be read; resolve drain manually.`);
+      return null;
+    }
+
+    const willpower = this.actor.system.attributes.willpower.value || 1;
+    const drainTitle = `Drain Resistance for ${spell.name} (${drain.power}${drain.level})`;
+    const drainResult = await this._showTargetNumberDialog(willpower, drainTitle, 'drain', Math.min(30, drain.power), { allocatedPools: { spell: poolDice } });
+    if (!drainResult) return null;
+
+    return this.actor.applyDrain(drain, drainResult.successes, { source: spell.name, force });
   }
 
   /**
@@ -1154,17 +1785,24 @@ export class SR2ActorSheet extends ActorSheet {
    */
   async _onWeaponAttack(event) {
     event.preventDefault();
-    const weaponId = event.currentTarget.dataset.itemId;
-    const weapon = this.actor.items.get(weaponId);
+    const { weapon, vehicle } = this._getWeaponFromElement(event.currentTarget);
 
     if (!weapon) return;
 
+    // Area weapons are aimed at a token so the blast can be placed on the scene
+    const areaDelivery = weapon.isAreaWeapon ? AREA_DELIVERIES[weapon.system.area.delivery] : null;
+    const aimTarget = game.user.targets.first();
+    if (weapon.isAreaWeapon && (!canvas.ready || !aimTarget)) {
+      ui.notifications.warn(`Target a token to aim ${weapon.name} at.`);
+      return;
+    }
+
     // Get relevant attributes
     const strength = this.actor.system.attributes.strength.value || 1;
     const quickness = this.actor.system.attributes.quickness.value || 1;
 
-    // Determine if it's a melee or ranged weapon
-    const isRanged = weapon.system.weaponType === 'ranged';
+    // Determine if it's a melee or ranged weapon; vehicle mounts and area weapons always attack at range
+    const isRanged = vehicle !== null || weapon.isAreaWeapon || weapon.system.weaponType === 'ranged';
     const attribute = isRanged ? quickness : strength;
 
     let skillRating = 0;
@@ -1215,11 +1853,10 @@ export class SR2ActorSheet extends ActorSheet {
       }
     } else {
       // Fall back to automatic skill detection for backwards compatibility
+      // Vehicle-mounted weapons are fired with Gunnery
+      const baseSkills = vehicle ? ['Gunnery'] : areaDelivery ? [areaDelivery.skill] : ['Armed Combat', 'Firearms', 'Projectile Weapons'];
       const combatSkills = this.actor.items.filter(i =>
-        i.type === 'skill' &&
-        (i.system.baseSkill === 'Armed Combat' ||
-          i.system.baseSkill === 'Firearms' ||
-          i.system.baseSkill === 'Projectile Weapons')
+        i.type === 'skill' && baseSkills.includes(i.system.baseSkill)
       );
 
       if (combatSkills.length > 0) {
@@ -1239,42 +1876,296 @@ export class SR2ActorSheet extends ActorSheet {
     // Calculate dice pool (attribute + skill in SR2E)
     const dicePool = attribute + skillRating;
 
+    // Pick a firing mode and work out recoil from earlier shots this phase
+    const phaseKey = getCombatPhaseKey();
+    const roundsFired = this.actor.getRoundsFired(phaseKey);
+    let firing = null;
+    let modifiers = [];
+    if (isRanged) {
+      firing = await this._promptFiringMode(weapon, roundsFired);
+      if (!firing) return;
+
+      const range = await this._getTargetRange(weapon, vehicle || this.actor);
+      if (range.distance !== null && !range.ranges && weapon.system.area?.delivery !== 'thrown') {
+        ui.notifications.warn(`${weapon.name} has no range type; no range modifier is applied.`);
+      } else if (range.distance !== null && !getRangeBand(range.ranges, range.distance)) {
+        ui.notifications.warn(`${range.target.name} is out of range for ${weapon.name} (${Math.round(range.distance)}m, Extreme range ends at ${range.ranges.extreme}m).`);
+        return;
+      }
+
+      modifiers = getRangedModifiers(this.actor, weapon, range);
+
+      const recoil = weapon.getRecoilModifier(firing.mode, firing.rounds, roundsFired);
+      if (recoil > 0) {
+        modifiers.unshift({ key: 'recoil', label: 'Recoil', value: recoil, enabled: true });
+      }
+      firing.recoil = recoil;
+    }
+
+    // Melee against a target is an opposed test; a reach advantage lowers the TN
+    let opposed = null;
+    const meleeTarget = game.user.targets.first();
+    if (!isRanged && meleeTarget?.actor) {
+      const reach = this.actor.getMeleeReach(weapon);
+      const reachAdvantage = reach - meleeTarget.actor.getMeleeReach();
+      if (reachAdvantage > 0) {
+        modifiers.push({ key: 'reach', label: 'Reach advantage', value: -reachAdvantage, enabled: true });
+      }
+
+      const damage = weapon.getDamageCode();
+      opposed = {
+        type: 'melee',
+        defenseTN: 4,
+        attack: damage ? {
+          source: weapon.name,
+          power: damage.power,
+          level: damage.level,
+          stun: damage.stun,
+          armorType: weapon.getArmorType(),
+          armorMultiplier: damage.armorMultiplier,
+          reach: reach
+        } : null
+      };
+    }
+
     // Create attack title
     const attackType = isRanged ? 'Ranged Attack' : 'Melee Attack';
-    const title = `${attackType} with ${weapon.name}`;
+    const title = `${attackType} with ${weapon.name}${vehicle ? ` on ${vehicle.name}` : ''}${firing ? ` (${firing.mode}${firing.rounds > 1 ? `, ${firing.rounds} rounds` : ''})` : ''}`;
     const subtitle = skillRating > 0 ? `${skillName} (${rollDescription})` : 'Defaulting to Attribute Only';
 
     // Show TN selection dialog and roll for attack
-    await this._showTargetNumberDialog(dicePool, `${title} - ${subtitle}`, 'attack');
+    const attackResult = await this._showTargetNumberDialog(dicePool, `${title} - ${subtitle}`, 'attack', 4, { modifiers, opposed, lockKarma: true });
+    if (!attackResult) return;
+
+    // The opposed test card resolves melee damage once the defender rolls
+    if (opposed) return;
+
+    // Spend the rounds fired and carry the recoil into the rest of the phase
+    if (firing) {
+      if (weapon.usesAmmo) {
+        const newAmmo = Math.max(0, weapon.system.ammo.current - firing.rounds);
+        await weapon.update({ 'system.ammo.current': newAmmo });
+
+        if (newAmmo === 0) {
+          ui.notifications.warn(`${weapon.name} is out of ammunition!`);
+        }
+      }
+      await this.actor.addRoundsFired(firing.rounds, phaseKey);
+    }
+
+    // Area weapons scatter from the aim point and damage everyone in the blast
+    if (weapon.isAreaWeapon && weapon.getDamageCode()) {
+      await SR2AreaAttack.resolve(this.actor, weapon, {
+        damage: weapon.getDamageCode(),
+        successes: attackResult.isCriticalFailure ? 0 : attackResult.successes,
+        aim: aimTarget.center,
+        origin: (vehicle || this.actor).getActiveTokens()[0]?.center || null
+      });
+      return;
+    }
+
+    // Display weapon damage in chat with a resistance button for the target
+    const damage = firing ? getAutofireDamage(weapon.getDamageCode(), firing.mode, firing.rounds) : weapon.getDamageCode();
+    const damageCode = damage?.code || weapon.system.damage || "1L";
+    const armorType = weapon.getArmorType();
+    const hit = attackResult.successes > 0 && !attackResult.isCriticalFailure;
+    const targets = Array.from(game.user.targets).map(token => token.document.uuid);
+    const targetNames = Array.from(game.user.targets).map(token => token.name);
 
-    // Display weapon damage in chat
-    const damageCode = weapon.system.damage || "1L";
     const chatData = {
       user: game.user.id,
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
       content: `
-        <div class="weapon-attack">
-          <h3>${weapon.name} Attack</h3>
+        <div class="weapon-attack sr2-chat-card">
+          <h3>${weapon.name} Attack${vehicle ? ` (${vehicle.name})` : ''}</h3>
           <p><strong>Skill Used:</strong> ${skillName} ${rollDescription ? `(${rollDescription})` : ''}</p>
-          <p><strong>Dice Pool:</strong> ${skillRating} (Skill) = ${dicePool}</p>
-          <p><strong>Damage Code:</strong> ${damageCode}</p>
+          <p><strong>Dice Pool:</strong> ${attribute} (Attribute) + ${skillRating} (Skill) = ${dicePool}</p>
+          <p><strong>Damage Code:</strong> ${damageCode}${damage ? ` (Power ${damage.power}, ${armorType} armor)` : ''}</p>
           ${weapon.system.reach ? `<p><strong>Reach:</strong> ${weapon.system.reach}</p>` : ''}
-          ${weapon.system.mode ? `<p><strong>Mode:</strong> ${weapon.system.mode}</p>` : ''}
+          ${firing ? `<p><strong>Firing Mode:</strong> ${FIRING_MODES[firing.mode].label} (${firing.rounds} round${firing.rounds === 1 ? '' : 's'})</p>` : ''}
+          ${firing && weapon.usesAmmo ? `<p><strong>Ammo:</strong> ${weapon.system.ammo.current}/${weapon.system.ammo.max} (${weapon.getAmmoType().label})</p>` : ''}
+          ${attackResult.modifiers?.length > 0 ? `
+          <p><strong>Target Number:</strong> ${attackResult.targetNumber}</p>
+          <ul class="tn-modifier-list">
+            ${attackResult.modifiers.map(modifier => `<li>${modifier.label} ${modifier.value >= 0 ? '+' : ''}${modifier.value}</li>`).join('')}
+          </ul>
+          ` : ''}
+          <p><strong>Attack Successes:</strong> ${attackResult.successes}</p>
+          ${targetNames.length > 0 ? `<p><strong>Target:</strong> ${targetNames.join(', ')}</p>` : ''}
+          ${hit && damage ? `
+          <div class="card-buttons">
+            <button type="button" data-action="resist-damage">
+              <i class="fas fa-shield-alt"></i> Resist Damage
+            </button>
+          </div>
+          ` : `<p class="attack-missed">${hit ? 'Damage code could not be read.' : 'The attack misses.'}</p>`}
         </div>
-      `
+      `,
+      flags: {
+        shadowrun2e: {
+          attack: damage ? {
+            source: weapon.name,
+            power: damage.power,
+            level: damage.level,
+            stun: damage.stun,
+            armorType: armorType,
+            armorMultiplier: damage.armorMultiplier,
+            successes: attackResult.successes,
+            targets: targets
+          } : null
+        }
+      }
     };
 
     ChatMessage.create(chatData);
+  }
 
-    // Handle ammo consumption for ranged weapons
-    if (isRanged && weapon.system.ammo && weapon.system.ammo.current > 0) {
-      const newAmmo = weapon.system.ammo.current - 1;
-      await weapon.update({ 'system.ammo.current': newAmmo });
+  /**
+   * Get the weapon a sheet control refers to
+   * Weapons mounted on the linked vehicle carry the vehicle's id.
+   */
+  _getWeaponFromElement(element) {
+    const { itemId, vehicleId } = element.dataset;
+    const vehicle = vehicleId ? game.actors.get(vehicleId) || null : null;
+    const weapon = (vehicle || this.actor).items.get(itemId);
+    return { weapon, vehicle };
+  }
 
-      if (newAmmo === 0) {
-        ui.notifications.warn(`${weapon.name} is out of ammunition!`);
-      }
+  /**
+   * Measure the range from the firing token to the first targeted token
+   * The firing token is the vehicle for mounted weapons, otherwise this actor.
+   * Resolves to { ranges, distance, target } for the weapon's range type;
+   * distance is null when either token is missing.
+   */
+  async _getTargetRange(weapon, shooter = this.actor) {
+    const ranges = await getWeaponRanges(weapon);
+
+    const source = shooter.getActiveTokens()[0];
+    const target = game.user.targets.first();
+    if (!source || !target || !canvas.ready) return { ranges, distance: null, target: target || null };
+
+    return { ranges, distance: measureTokenDistance(source, target), target };
+  }
+
+  /**
+   * Ask which firing mode to attack with
+   * Weapons with a single mode other than full auto skip the dialog.
+   * Resolves to { mode, rounds }, or null if cancelled or out of ammunition.
+   */
+  async _promptFiringMode(weapon, roundsFired = 0) {
+    const modes = weapon.getFiringModes();
+    const ammo = weapon.usesAmmo ? weapon.system.ammo.current : Infinity;
+
+    if (ammo <= 0) {
+      ui.notifications.warn(`${weapon.name} is out of ammunition. Reload before attacking.`);
+      return null;
+    }
+
+    // Full auto can fire whatever is left in the weapon; a burst needs all three rounds
+    const available = modes.filter(mode => mode === 'FA' || FIRING_MODES[mode].rounds <= ammo);
+    if (available.length === 0) {
+      ui.notifications.warn(`${weapon.name} has too few rounds left for its firing modes. Reload before attacking.`);
+      return null;
+    }
+
+    if (available.length === 1 && available[0] !== 'FA') {
+      return { mode: available[0], rounds: FIRING_MODES[available[0]].rounds };
+    }
+
+    const maxRounds = Math.min(FIRING_MODES.FA.maxRounds, ammo);
+    const minRounds = Math.min(FIRING_MODES.FA.rounds, maxRounds);
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${weapon.name} - Firing Mode`,
+        content: `
+          <div class="firing-mode-dialog">
+            <div class="form-group">
+              <label for="firing-mode">Firing Mode:</label>
+              <select id="firing-mode">
+                ${available.map(mode => `<option value="${mode}">${FIRING_MODES[mode].label} (${mode})</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group full-auto-rounds" ${available[0] === 'FA' ? '' : 'style="display: none;"'}>
+              <label for="firing-rounds">Full Auto Rounds:</label>
+              <input type="number" id="firing-rounds" value="${minRounds}" min="${minRounds}" max="${maxRounds}">
+            </div>
+            <p><strong>Recoil Compensation:</strong> ${Number(weapon.system.recoil) || 0}</p>
+            ${roundsFired > 0 ? `<p><strong>Rounds Fired This Phase:</strong> ${roundsFired}</p>` : ''}
+            ${weapon.usesAmmo ? `<p><strong>Ammo:</strong> ${ammo}/${weapon.system.ammo.max} (${weapon.getAmmoType().label})</p>` : ''}
+          </div>
+        `,
+        buttons: {
+          fire: {
+            icon: '<i class="fas fa-crosshairs"></i>',
+            label: "Fire",
+            callback: html => {
+              const mode = html.find('#firing-mode').val();
+              const rounds = mode === 'FA'
+                ? Math.min(maxRounds, Math.max(minRounds, parseInt(html.find('#firing-rounds').val()) || minRounds))
+                : FIRING_MODES[mode].rounds;
+              resolve({ mode, rounds });
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "fire",
+        render: html => {
+          html.find('#firing-mode').change(event => {
+            html.find('.full-auto-rounds').toggle(event.currentTarget.value === 'FA');
+          });
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Handle reloading a ranged weapon
+   * Clips, magazines and belts are swapped whole; cylinders and internal
+   * magazines ask how many rounds to load.
+   */
+  async _onWeaponReload(event) {
+    event.preventDefault();
+    const { weapon } = this._getWeaponFromElement(event.currentTarget);
+    if (!weapon?.usesAmmo) return;
+
+    const { current, max } = weapon.system.ammo;
+    if (current >= max) {
+      ui.notifications.info(`${weapon.name} is already fully loaded.`);
+      return;
     }
+
+    const ammoType = weapon.getAmmoType();
+    let rounds = null;
+    if (!ammoType.swap) {
+      rounds = await Dialog.prompt({
+        title: `${weapon.name} - Reload`,
+        content: `
+          <div class="form-group">
+            <label for="reload-rounds">Rounds to load (${ammoType.label}, ${max - current} empty):</label>
+            <input type="number" id="reload-rounds" value="${max - current}" min="1" max="${max - current}">
+          </div>
+        `,
+        label: "Reload",
+        callback: html => parseInt(html.find('#reload-rounds').val()) || 0,
+        rejectClose: false
+      });
+      if (!rounds) return;
+    }
+
+    const loaded = await weapon.reload(rounds);
+    if (loaded <= 0) return;
+
+    ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      content: `<p><strong>${this.actor.name}</strong> reloads ${weapon.name}: ${ammoType.swap ? `new ${ammoType.label.toLowerCase()}` : `${loaded} round${loaded === 1 ? '' : 's'} into the ${ammoType.label.toLowerCase()}`} (${weapon.system.ammo.current}/${max}).</p>`
+    });
   }
 
   /**
@@ -1283,7 +2174,7 @@ export class SR2ActorSheet extends ActorSheet {
   async _onRangeWeaponChange(event) {
     event.preventDefault();
     const weaponId = event.currentTarget.value;
-    const rangeType = event.currentTarget.selectedOptions[0]?.dataset.rangeType;
+    const rangeType = resolveRangeType(event.currentTarget.selectedOptions[0]?.dataset.rangeType);
 
     if (!weaponId || !rangeType) {
       this._hideRangeBands();
@@ -1310,18 +2201,26 @@ export class SR2ActorSheet extends ActorSheet {
    * Load ranges data from JSON file
    */
   async _loadRangesData() {
-    if (this.rangesData) {
-      return this.rangesData;
-    }
+    return loadRangesData();
+  }
 
-    try {
-      const response = await fetch('/systems/shadowrun2e/data/ranges.json');
-      this.rangesData = await response.json();
-      return this.rangesData;
-    } catch (error) {
-      console.error('Failed to load ranges data:', error);
-      return null;
+  /**
+   * Fill the range calculator distance from this actor's token to the target
+   */
+  async _onRangeFromTokens(event) {
+    event.preventDefault();
+    const source = this.actor.getActiveTokens()[0];
+    const target = game.user.targets.first();
+    if (!source || !target || !canvas.ready) {
+      ui.notifications.warn("Place this actor's token on the scene and target a token to measure range.");
+      return;
     }
+
+    const distanceInput = document.getElementById('range-distance');
+    if (!distanceInput) return;
+
+    distanceInput.value = Math.round(measureTokenDistance(source, target));
+    this._calculateRangeCategory();
   }
 
   /**
@@ -1366,7 +2265,7 @@ export class SR2ActorSheet extends ActorSheet {
     if (!weaponSelect || !distanceInput || !rangeCategorySpan) return;
 
     const weaponId = weaponSelect.value;
-    const rangeType = weaponSelect.selectedOptions[0]?.dataset.rangeType;
+    const rangeType = resolveRangeType(weaponSelect.selectedOptions[0]?.dataset.rangeType);
     const distance = parseInt(distanceInput.value);
 
     if (!weaponId || !rangeType || !distance) {
@@ -1378,32 +2277,10 @@ export class SR2ActorSheet extends ActorSheet {
     const rangesData = await this._loadRangesData();
     if (!rangesData || !rangesData[rangeType]) return;
 
-    const ranges = rangesData[rangeType];
-    let category = '';
-    let modifier = '';
-    let categoryClass = '';
-
-    if (distance <= ranges.short) {
-      category = 'Short';
-      modifier = '(TN 4)';
-      categoryClass = 'short';
-    } else if (distance <= ranges.medium) {
-      category = 'Medium';
-      modifier = '(TN 5)';
-      categoryClass = 'medium';
-    } else if (distance <= ranges.long) {
-      category = 'Long';
-      modifier = '(TN 6)';
-      categoryClass = 'long';
-    } else if (distance <= ranges.extreme) {
-      category = 'Extreme';
-      modifier = '(TN 8)';
-      categoryClass = 'extreme';
-    } else {
-      category = 'Out of Range';
-      modifier = '(Impossible)';
-      categoryClass = 'impossible';
-    }
+    const band = getRangeBand(rangesData[rangeType], distance);
+    const category = band ? RANGE_BANDS[band].label : 'Out of Range';
+    const modifier = band ? `(TN ${RANGE_BANDS[band].tn})` : '(Impossible)';
+    const categoryClass = band || 'impossible';
 
     rangeCategorySpan.textContent = category;
     rangeCategorySpan.className = `range-category ${categoryClass}`;
@@ -1602,31 +2479,6 @@ export class SR2ActorSheet extends ActorSheet {
     this.render(false);
   }
 
-  /**
-   * Calculate drain value from drain code
-   */
-  _calculateDrain(drainCode, force) {
-    if (!drainCode) return 4;
-
-    // Parse drain codes like "(F/2)M", "[(F/2)+1]S", etc.
-    let drainValue = 4; // Default
-
-    try {
-      // Replace F with force value
-      let formula = drainCode.replace(/F/g, force.toString());
-
-      // Remove brackets and damage level indicators
-      formula = formula.replace(/[\[\]LMSD]/g, '');
-
-      // Evaluate the mathematical expression
-      drainValue = Math.max(2, Math.floor(eval(formula)));
-    } catch (error) {
-      console.warn(`Could not parse drain code: ${drainCode}`, error);
-    }
-
-    return drainValue;
-  }
-
   /**
    * Handle damage box clicks
    */
@@ -1892,16 +2744,27 @@ export class SR2ActorSheet extends ActorSheet {
         });
       }
 
+      // Astral, Matrix and rigging initiative replace the physical dice and Reaction
+      const initiative = this.actor.getInitiative();
+      if (initiative.mode !== 'normal') {
+        initiativeDice = initiative.dice;
+        reactionBonus = initiative.reaction;
+      }
+      const modeLabel = initiative.mode !== 'normal' ? ` (${INITIATIVE_MODES[initiative.mode].label})` : '';
+
       // Create the roll formula (e.g., "3d6 + 12")
       const rollFormula = `${initiativeDice}d6 + ${reactionBonus}`;
 
+      // Wound modifiers reduce the initiative total (minimum of 1)
+      const woundPenalty = this.actor.getWoundModifiers().initiative;
+
       console.log(`SR2E | Rolling initiative for ${this.actor.name}: ${rollFormula}`);
 
-      // Create and evaluate the roll using Foundry's Roll class
+      // Create and evaluate the roll using the system's initiative roll
       // Note: Using standard d6 without exploding dice for initiative
       let roll;
       try {
-        roll = new Roll(rollFormula);
+        roll = SR2InitiativeRoll.create(initiativeDice, reactionBonus, woundPenalty);
         await roll.evaluate();
       } catch (rollError) {
         console.error("SR2E | Error creating or evaluating roll:", rollError);
@@ -1922,17 +2785,18 @@ export class SR2ActorSheet extends ActorSheet {
           diceResults = roll.terms[0].results.map(r => r.result);
           diceTotal = diceResults.reduce((sum, die) => sum + die, 0);
         } else {
-          // Fallback: calculate dice total from final total minus reaction bonus
-          diceTotal = roll.total - reactionBonus;
+          // Fallback: use the dice term total
+          diceTotal = roll.diceTotal;
           diceResults = [`${diceTotal} (total)`];
         }
       } catch (extractError) {
         console.warn("SR2E | Could not extract individual dice results:", extractError);
-        diceTotal = roll.total - reactionBonus;
+        diceTotal = roll.diceTotal;
         diceResults = [`${diceTotal} (total)`];
       }
 
-      const finalTotal = roll.total;
+      const finalTotal = roll.score;
+      const displayFormula = woundPenalty > 0 ? `${rollFormula} - ${woundPenalty} (wounds)` : rollFormula;
 
       // Validate final total is reasonable
       if (finalTotal < 1 || finalTotal > 100) {
@@ -1952,7 +2816,7 @@ export class SR2ActorSheet extends ActorSheet {
 
       // Display the result in the UI with error handling
       try {
-        this._displayInitiativeResult(diceResults, diceTotal, reactionBonus, finalTotal, rollFormula);
+        this._displayInitiativeResult(diceResults, diceTotal, reactionBonus, finalTotal, displayFormula);
       } catch (displayError) {
         console.error("SR2E | Failed to display initiative result:", displayError);
         ui.notifications.warn("Initiative rolled successfully but display failed. Check chat for results.");
@@ -1962,7 +2826,11 @@ export class SR2ActorSheet extends ActorSheet {
       try {
         await roll.toMessage({
           speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-          flavor: `${this.actor.name} rolls Initiative`
+          flavor: woundPenalty > 0
+            ? `${this.actor.name} rolls Initiative${modeLabel} (-${woundPenalty} wounds = ${finalTotal})`
+            : `${this.actor.name} rolls Initiative${modeLabel}`
+        }, {
+          rollMode: game.settings.get('core', 'rollMode')
         });
       } catch (chatError) {
         console.error("SR2E | Failed to send initiative roll to chat:", chatError);
@@ -1977,7 +2845,7 @@ export class SR2ActorSheet extends ActorSheet {
         ui.notifications.warn(`Initiative rolled (${finalTotal}) but failed to add to tracker. You can add manually.`);
       }
 
-      console.log(`SR2E | ${this.actor.name} rolled initiative: ${rollFormula} = ${finalTotal}`);
+      console.log(`SR2E | ${this.actor.name} rolled initiative: ${displayFormula} = ${finalTotal}`);
       ui.notifications.info(`${this.actor.name} rolled initiative: ${finalTotal}`);
 
     } catch (error) {
@@ -2542,22 +3410,12 @@ export class SR2ActorSheet extends ActorSheet {
         throw new Error("Canvas or tokens not available. Make sure you're on a scene with tokens.");
       }
 
-      // Get or create the global initiative tracker instance
-      let initiativeTracker = game.shadowrun2e?.initiativeTracker;
-
-      if (!initiativeTracker) {
-        try {
-          // Create new tracker instance if it doesn't exist
-          initiativeTracker = new SR2InitiativeTracker();
-
-          // Store reference globally for access from other parts of the system
-          if (!game.shadowrun2e) {
-            game.shadowrun2e = {};
-          }
-          game.shadowrun2e.initiativeTracker = initiativeTracker;
-        } catch (trackerError) {
-          throw new Error(`Failed to create initiative tracker: ${trackerError.message}`);
-        }
+      // Get the shared initiative tracker instance
+      let initiativeTracker;
+      try {
+        initiativeTracker = getInitiativeTracker();
+      } catch (trackerError) {
+        throw new Error(`Failed to create initiative tracker: ${trackerError.message}`);
       }
 
       // Get the token for this actor (prefer controlled token, fallback to any token)
@@ -2611,25 +3469,23 @@ export class SR2ActorSheet extends ActorSheet {
         actionPhases = [initiativeResult];
       }
 
-      // Get safe values for initiative dice and reaction
-      const initiativeDice = (this.actor.system?.initiative?.dice &&
-        typeof this.actor.system.initiative.dice === 'number' &&
-        !isNaN(this.actor.system.initiative.dice))
-        ? this.actor.system.initiative.dice : 1;
-
-      const reaction = (this.actor.system?.attributes?.reaction?.value &&
-        typeof this.actor.system.attributes.reaction.value === 'number' &&
-        !isNaN(this.actor.system.attributes.reaction.value))
-        ? this.actor.system.attributes.reaction.value : 1;
+      // Get safe values for initiative dice and reaction in the current initiative mode
+      const initiative = this.actor.getInitiative();
+      const initiativeDice = Number.isFinite(initiative.dice) && initiative.dice > 0 ? initiative.dice : 1;
+      const reaction = Number.isFinite(initiative.reaction) && initiative.reaction > 0 ? initiative.reaction : 1;
 
       if (existingCombatant) {
         // Update existing combatant's initiative and phases
         try {
-          existingCombatant.initiative = initiativeResult;
-          existingCombatant.actionPhases = actionPhases;
-          existingCombatant.hasRolled = true;
-          existingCombatant.initiativeDice = initiativeDice;
-          existingCombatant.reaction = reaction;
+          await initiativeTracker.updateCombatants([{
+            id: existingCombatant.id,
+            initiative: initiativeResult,
+            actionPhases: actionPhases,
+            hasRolled: true,
+            initiativeDice: initiativeDice,
+            reaction: reaction,
+            mode: initiative.mode
+          }]);
 
           console.log(`SR2E | Updated ${this.actor.name}'s initiative in tracker: ${initiativeResult}, phases: [${actionPhases.join(', ')}]`);
         } catch (updateError) {
@@ -2648,26 +3504,17 @@ export class SR2ActorSheet extends ActorSheet {
             actionPhases: actionPhases,
             initiativeDice: initiativeDice,
             reaction: reaction,
+            mode: initiative.mode,
             hasRolled: true
           };
 
-          initiativeTracker.combatants.push(combatant);
+          await initiativeTracker.updateCombatants([combatant]);
           console.log(`SR2E | Added ${this.actor.name} to initiative tracker with initiative ${initiativeResult}, phases: [${actionPhases.join(', ')}]`);
         } catch (addError) {
           throw new Error(`Failed to add new combatant: ${addError.message}`);
         }
       }
 
-      // Render the tracker if it's currently open
-      try {
-        if (initiativeTracker.rendered) {
-          initiativeTracker.render();
-        }
-      } catch (renderError) {
-        console.warn("SR2E | Failed to render initiative tracker:", renderError);
-        // Don't throw error for render failure, it's not critical
-      }
-
       // Show notification
       const message = existingCombatant
         ? `${this.actor.name} updated in initiative tracker with initiative ${initiativeResult}`
@@ -2800,29 +3647,23 @@ export class SR2ActorSheet extends ActorSheet {
     try {
       if (!this.actor?.system?.health) return;
 
-      const physicalDamage = this.actor.system.health.physical?.value || 0;
-      const stunDamage = this.actor.system.health.stun?.value || 0;
-
-      // Calculate damage penalties according to SR2 rules
-      // Physical damage: -1 die per 3 boxes of damage
-      // Stun damage: -1 die per 3 boxes of damage
-      const physicalPenalty = Math.floor(physicalDamage / 3);
-      const stunPenalty = Math.floor(stunDamage / 3);
-      const totalPenalty = physicalPenalty + stunPenalty;
+      // Wound modifiers are derived by the actor from the SR2 wound levels
+      // (Light +1, Moderate +2, Serious +3 TN per monitor, cumulative)
+      const totalPenalty = this.actor.system.wounds?.tn || 0;
 
       // Update penalty displays
       const penaltyIndicators = this.element.find('.damage-penalty, .wound-penalty');
       penaltyIndicators.each((index, element) => {
         try {
           const $element = $(element);
-          $element.text(totalPenalty > 0 ? `-${totalPenalty}` : '0');
+          $element.text(totalPenalty > 0 ? `+${totalPenalty}` : '0');
           $element.attr('data-penalty', totalPenalty);
 
           // Add visual styling based on penalty severity
           $element.removeClass('minor-penalty major-penalty severe-penalty');
-          if (totalPenalty >= 6) {
+          if (totalPenalty >= 4) {
             $element.addClass('severe-penalty');
-          } else if (totalPenalty >= 3) {
+          } else if (totalPenalty >= 2) {
             $element.addClass('major-penalty');
           } else if (totalPenalty > 0) {
             $element.addClass('minor-penalty');
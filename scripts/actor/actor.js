@@ -1,3 +1,44 @@
+import { stageDamage, getDamageBoxes, getDamageLabel } from "../damage.js";
+import { SR2Roll } from "../dice.js";
+import { SR2Conjuring } from "../spirits.js";
+
+/**
+ * Dice pools that refresh at the start of every Combat Turn
+ */
+export const COMBAT_TURN_POOLS = ['combat', 'spell', 'hacking', 'control', 'task', 'astral'];
+
+/**
+ * Initiative modes: the physical body, astral projection, decking and jumped-in rigging
+ */
+export const INITIATIVE_MODES = {
+  normal: { label: "Physical" },
+  astral: { label: "Astral" },
+  matrix: { label: "Matrix" },
+  rigging: { label: "Rigging" }
+};
+
+/**
+ * Attributes and the augmentation modifier that raises each one
+ */
+const ATTRIBUTE_MODIFIER_KEYS = {
+  body: 'BOD',
+  quickness: 'QCK',
+  strength: 'STR',
+  charisma: 'CHA',
+  intelligence: 'INT',
+  willpower: 'WIL'
+};
+
+/**
+ * Who can keep a sustained spell going
+ * Only spells the caster sustains themselves add to their target numbers.
+ */
+export const SPELL_SUSTAINERS = {
+  caster: { label: "Caster", penalty: true },
+  focus: { label: "Sustaining Focus", penalty: false },
+  spirit: { label: "Spirit", penalty: false }
+};
+
 /**
  * Extend the base Actor document to support Shadowrun 2E
  */
@@ -24,6 +65,27 @@ export class SR2Actor extends Actor {
 
     // Make separate methods for each Actor type to keep things organized
     this._prepareCharacterData(actorData);
+    this._prepareSpiritData(actorData);
+  }
+
+  /**
+   * Derive a spirit's attributes, initiative dice and powers from its type and Force
+   * Attributes marked as overridden keep the value entered on the sheet.
+   */
+  _prepareSpiritData(actorData) {
+    if (actorData.type !== 'spirit') return;
+
+    const systemData = actorData.system;
+    const stats = SR2Conjuring.getSpiritStats(systemData.spiritType, systemData.attributes.force?.value);
+
+    systemData.initiative = { dice: stats?.dice || 1 };
+    systemData.typePowers = stats?.powers || [];
+    if (!stats) return;
+
+    for (const [key, value] of Object.entries(stats.attributes)) {
+      const attribute = systemData.attributes[key];
+      if (attribute && !attribute.override) attribute.value = value;
+    }
   }
 
   /**
@@ -64,6 +126,7 @@ export class SR2Actor extends Actor {
     this._calculateDerivedAttributes(systemData);
     this._calculateConditionMonitors(systemData);
     this._calculateInitiative(systemData);
+    this._calculateSustainedSpells(systemData);
   }
 
   /**
@@ -209,6 +272,43 @@ export class SR2Actor extends Actor {
     return highestLevel * 2;
   }
 
+  /**
+   * Get an attribute with cyberware, bioware and adept power modifiers applied
+   * Reaction is stored with its modifiers already included.
+   */
+  getModifiedAttribute(attributeName) {
+    const value = Number(this.system.attributes?.[attributeName]?.value) || 0;
+    const modifierKey = ATTRIBUTE_MODIFIER_KEYS[attributeName];
+    if (this.type !== 'character' || !modifierKey) return value;
+
+    return value + (this._calculateAugmentationModifiers()[modifierKey] || 0);
+  }
+
+  /**
+   * Get the longest melee reach this actor can fight with
+   * Equipped melee weapons add their Reach and trolls have +1 natural reach.
+   */
+  getMeleeReach(weapon = null) {
+    const natural = this.system.details?.metatype === 'troll' ? 1 : 0;
+    if (weapon) return natural + (Number(weapon.system.reach) || 0);
+
+    const reaches = this.items
+      .filter(i => i.type === 'weapon' && i.system.weaponType === 'melee' && i.system.equipped)
+      .map(i => Number(i.system.reach) || 0);
+    return natural + Math.max(0, ...reaches);
+  }
+
+  /**
+   * Check whether an installed smartlink connects this actor to a smartgun
+   */
+  hasSmartlink() {
+    return this.items.some(i =>
+      i.type === 'cyberware' &&
+      i.system.installed &&
+      i.name.toLowerCase().includes('smartlink')
+    );
+  }
+
   /**
    * Calculate attribute modifiers from installed cyberware and bioware
    * Parses the "Mods" field to extract bonuses like +1BOD, +2RCT, etc.
@@ -282,8 +382,280 @@ export class SR2Actor extends Actor {
     // Physical Condition Monitor = 10
     systemData.health.physical.max = 10;
 
-    // Stun Condition Monitor = 10  
+    // Stun Condition Monitor = 10
     systemData.health.stun.max = 10;
+
+    this._calculateWoundModifiers(systemData);
+  }
+
+  /**
+   * Get the SR2 wound level for a number of filled condition monitor boxes
+   * Light = 1 box, Moderate = 3, Serious = 6, Deadly = 10
+   */
+  _getWoundLevel(boxes) {
+    boxes = Number(boxes) || 0;
+
+    if (boxes >= 10) return { key: 'deadly', label: 'Deadly', modifier: 3 };
+    if (boxes >= 6) return { key: 'serious', label: 'Serious', modifier: 3 };
+    if (boxes >= 3) return { key: 'moderate', label: 'Moderate', modifier: 2 };
+    if (boxes >= 1) return { key: 'light', label: 'Light', modifier: 1 };
+    return { key: 'none', label: 'Uninjured', modifier: 0 };
+  }
+
+  /**
+   * Derive wound modifiers from the Physical and Stun monitors
+   * Each wound level adds +1/+2/+3 to target numbers and subtracts the same
+   * from initiative. Modifiers from both monitors are cumulative.
+   */
+  _calculateWoundModifiers(systemData) {
+    if (!systemData.wounds) {
+      systemData.wounds = { ignore: false };
+    }
+
+    const physical = this._getWoundLevel(systemData.health.physical.value);
+    const stun = this._getWoundLevel(systemData.health.stun.value);
+    const total = physical.modifier + stun.modifier;
+
+    systemData.wounds.physical = physical;
+    systemData.wounds.stun = stun;
+    systemData.wounds.tn = total;
+    systemData.wounds.initiative = total;
+  }
+
+  /**
+   * Count the spells the caster is sustaining
+   * Each spell the caster sustains themselves adds +2 to all their target numbers.
+   */
+  _calculateSustainedSpells(systemData) {
+    const sustained = Array.isArray(systemData.magic.sustained) ? systemData.magic.sustained : [];
+    const count = sustained.filter(entry => SPELL_SUSTAINERS[entry.sustainedBy]?.penalty ?? true).length;
+
+    systemData.magic.sustaining = { count: count, tn: count * 2 };
+  }
+
+  /**
+   * Get the TN modifier for the spells the actor is sustaining
+   */
+  getSustainingModifier() {
+    return this.system.magic?.sustaining?.tn || 0;
+  }
+
+  /**
+   * Start sustaining a spell
+   * Records the Force, successes and target; the caster sustains it until told otherwise.
+   * A cast resisted by several targets passes its own id so it is only sustained once.
+   * Returns the new entry, or null if the spell is already being sustained.
+   */
+  async sustainSpell({ id = foundry.utils.randomID(), spellId = '', name, force = 1, successes = 0, target = '', targetUuid = '' }) {
+    if ((this.system.magic.sustained || []).some(e => e.id === id)) return null;
+
+    const entry = {
+      id: id,
+      spellId: spellId,
+      name: name,
+      force: Number(force) || 1,
+      successes: Number(successes) || 0,
+      target: target,
+      targetUuid: targetUuid,
+      sustainedBy: 'caster',
+      sustainer: ''
+    };
+
+    await this.update({ 'system.magic.sustained': [...(this.system.magic.sustained || []), entry] });
+    return entry;
+  }
+
+  /**
+   * Post a chat card for a newly sustained spell with a button to drop it
+   */
+  async postSustainedSpell(entry) {
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `
+        <div class="sustained-spell sr2-chat-card">
+          <h3>Sustaining ${entry.name}</h3>
+          <p><strong>Force:</strong> ${entry.force} &nbsp; <strong>Successes:</strong> ${entry.successes}</p>
+          ${entry.target ? `<p><strong>Target:</strong> ${entry.target}</p>` : ''}
+          <p>+2 TN to ${this.name}'s tests while sustained.</p>
+          <div class="card-buttons">
+            <button type="button" data-action="drop-spell">
+              <i class="fas fa-hand-paper"></i> Drop Spell
+            </button>
+          </div>
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          sustainedSpell: { actorUuid: this.uuid, id: entry.id }
+        }
+      }
+    });
+  }
+
+  /**
+   * Change a sustained spell, e.g. to hand it to a focus or spirit
+   */
+  async updateSustainedSpell(id, changes) {
+    const sustained = (this.system.magic.sustained || []).map(entry => entry.id === id ? { ...entry, ...changes } : entry);
+    return this.update({ 'system.magic.sustained': sustained });
+  }
+
+  /**
+   * Stop sustaining a spell
+   * Returns the dropped entry, or null if the spell was not being sustained.
+   */
+  async dropSustainedSpell(id) {
+    const sustained = this.system.magic.sustained || [];
+    const entry = sustained.find(e => e.id === id);
+    if (!entry) return null;
+
+    await this.update({ 'system.magic.sustained': sustained.filter(e => e.id !== id) });
+    return entry;
+  }
+
+  /**
+   * Get the spirits this actor summoned that the user can see
+   * Spirits link their summoner by UUID; older spirits only by name.
+   */
+  getSummonedSpirits() {
+    return game.actors.filter(actor => actor.type === 'spirit' && actor.visible && (actor.system.summonerUuid
+      ? actor.system.summonerUuid === this.uuid
+      : actor.system.summoner === this.name));
+  }
+
+  /**
+   * Record an entry in a spirit's service history, along with any other changes
+   * Returns the new entry.
+   */
+  async logService(service, { by = this.system.summoner, changes = {} } = {}) {
+    const entry = {
+      id: foundry.utils.randomID(),
+      time: Date.now(),
+      service: service,
+      by: by || '',
+      remaining: changes['system.services'] ?? this.system.services
+    };
+
+    await this.update({ ...changes, 'system.serviceLog': [...(this.system.serviceLog || []), entry] });
+    return entry;
+  }
+
+  /**
+   * Use one of the services a spirit owes and record it in its history
+   * Returns the history entry, or null when the spirit owes no services.
+   */
+  async useService(service, { by = this.system.summoner } = {}) {
+    const services = Number(this.system.services) || 0;
+    if (services <= 0) {
+      ui.notifications.warn(`${this.name} has no services remaining!`);
+      return null;
+    }
+
+    const entry = await this.logService(service, { by, changes: { 'system.services': services - 1 } });
+    if (entry.remaining === 0) {
+      ui.notifications.warn(`${this.name} has no more services remaining and may depart!`);
+    }
+    return entry;
+  }
+
+  /**
+   * Release a spirit from its summoner, forfeiting the services it still owes
+   */
+  async dismissSpirit({ by = this.system.summoner } = {}) {
+    return this.logService("Dismissed", {
+      by,
+      changes: { 'system.services': 0, 'system.summoner': '', 'system.summonerUuid': '' }
+    });
+  }
+
+  /**
+   * Get the wound modifiers that should currently be applied to tests
+   * Returns zero modifiers when the actor ignores wounds or has no monitors
+   */
+  getWoundModifiers() {
+    const wounds = this.system.wounds;
+    if (!wounds || wounds.ignore) {
+      return { tn: 0, initiative: 0 };
+    }
+
+    return {
+      tn: wounds.tn || 0,
+      initiative: wounds.initiative || 0
+    };
+  }
+
+  /**
+   * Get the initiative dice, Reaction and wound penalty for an initiative roll
+   * Astral, Matrix and rigging modes replace the physical dice and Reaction;
+   * source names the linked cyberdeck or vehicle the mode draws from.
+   */
+  getInitiative(mode = this.system.initiative?.mode || 'normal') {
+    const woundPenalty = this.getWoundModifiers().initiative;
+    if (this.type !== 'character' || !INITIATIVE_MODES[mode]) mode = 'normal';
+
+    switch (mode) {
+      case 'astral':
+        // Astral projection: Intelligence + 20, 1D6
+        return {
+          mode: mode,
+          dice: 1,
+          reaction: (this.system.attributes.intelligence?.value || 1) + 20,
+          woundPenalty: woundPenalty,
+          source: null
+        };
+
+      case 'matrix': {
+        // Decking: unaugmented Reaction, +2 Reaction and +1D6 per level of Response Increase
+        const deck = this.getLinkedActor('cyberdeck');
+        const responseIncrease = deck?.system.responseIncrease || 0;
+        return {
+          mode: mode,
+          dice: 1 + responseIncrease,
+          reaction: this._getNaturalReaction() + responseIncrease * 2,
+          woundPenalty: woundPenalty,
+          source: deck?.name || null
+        };
+      }
+
+      case 'rigging': {
+        // Jumped in: unaugmented Reaction, +2 Reaction and +1D6 per level of Vehicle Control Rig
+        const vehicle = this.getLinkedActor('vehicle');
+        const rigLevel = this._getControlRigBonus() / 2;
+        return {
+          mode: mode,
+          dice: 1 + rigLevel,
+          reaction: this._getNaturalReaction() + rigLevel * 2,
+          woundPenalty: woundPenalty,
+          source: vehicle?.name || null
+        };
+      }
+
+      default:
+        return {
+          mode: 'normal',
+          dice: ['character', 'spirit'].includes(this.type) ? (this.system.initiative?.dice || 1) : 1,
+          reaction: this.system.attributes?.reaction?.value || 1,
+          woundPenalty: woundPenalty,
+          source: null
+        };
+    }
+  }
+
+  /**
+   * Get Reaction without cyberware or other augmentations
+   */
+  _getNaturalReaction() {
+    const attrs = this.system.attributes;
+    return Math.ceil(((attrs.quickness?.value || 1) + (attrs.intelligence?.value || 1)) / 2);
+  }
+
+  /**
+   * Get the cyberdeck or vehicle actor linked to this character
+   */
+  getLinkedActor(type) {
+    const actorId = this.system.links?.[type];
+    return actorId ? game.actors.get(actorId) || null : null;
   }
 
   /**
@@ -302,66 +674,314 @@ export class SR2Actor extends Actor {
 
   /**
    * Roll dice for Shadowrun 2E with exploding 6s
+   * Posts the roll to chat using the current roll mode and returns the result.
+   * A roll whose successes another chat card carries is locked against Karma
+   * Pool, which could no longer change that card.
    */
-  async rollDice(dicePool, targetNumber = 4, title = "Dice Roll") {
-    // Ensure dicePool is a number and at least 1
-    dicePool = Number(dicePool) || 1;
-    targetNumber = Number(targetNumber) || 4;
-    
-    
-    const diceResults = [];
-    let totalSuccesses = 0;
-    let totalOnes = 0;
-
-    // Roll each die in the pool
-    for (let i = 0; i < dicePool; i++) {
-      const dieResults = [];
-      let currentRoll = Math.floor(Math.random() * 6) + 1;
-      let dieTotal = currentRoll;
-      dieResults.push(currentRoll);
-
-      // Exploding 6s - keep rolling while we get 6s
-      while (currentRoll === 6) {
-        currentRoll = Math.floor(Math.random() * 6) + 1;
-        dieTotal += currentRoll;
-        dieResults.push(currentRoll);
-      }
+  async rollDice(dicePool, targetNumber = 4, title = "Dice Roll", { lockKarma = false } = {}) {
+    const roll = SR2Roll.create(dicePool, targetNumber, { title });
+    await roll.evaluate();
 
-      // Count successes and ones for this die
-      if (dieTotal >= targetNumber) {
-        totalSuccesses++;
-      }
-      if (dieResults[0] === 1) { // Only the first roll counts for ones
-        totalOnes++;
-      }
+    const message = await roll.toMessage({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flags: { shadowrun2e: { lockKarma: lockKarma } }
+    }, {
+      rollMode: game.settings.get('core', 'rollMode')
+    });
+
+    return {
+      successes: roll.successes,
+      ones: roll.ones,
+      isCriticalFailure: roll.isCriticalFailure,
+      roll: roll,
+      message: message
+    };
+  }
 
-      diceResults.push({
-        results: dieResults,
-        total: dieTotal,
-        success: dieTotal >= targetNumber,
-        isOne: dieResults[0] === 1
+  /**
+   * Spend Karma Pool dice
+   * Permanent spending (buying successes) also lowers the Karma Pool total.
+   * Returns false without spending anything if the pool is too small.
+   */
+  async spendKarmaPool(amount = 1, { permanent = false, reason = '' } = {}) {
+    const karma = this.system.pools?.karma;
+    if (!karma || (karma.current || 0) < amount) {
+      ui.notifications.warn(`${this.name} doesn't have ${amount} Karma Pool to spend.`);
+      return false;
+    }
+
+    const updateData = {
+      'system.pools.karma.current': karma.current - amount,
+      ...this._getPoolLogUpdate([{ pool: 'karma', dice: amount, reason: reason || (permanent ? 'Permanent' : '') }])
+    };
+    if (permanent) {
+      updateData['system.pools.karma.total'] = Math.max(0, (karma.total || 0) - amount);
+    }
+
+    await this.update(updateData);
+    return true;
+  }
+
+  /**
+   * Spend dice from one or more pools, e.g. { combat: 2, karma: 1 }
+   * Each pool is capped at its current dice and the spending is logged for
+   * the Combat Turn. Returns the dice actually spent per pool.
+   */
+  async spendPools(spending, reason = '') {
+    const pools = this.system.pools;
+    const spent = {};
+    if (!pools) return spent;
+
+    const updateData = {};
+    const entries = [];
+    for (const [poolKey, dice] of Object.entries(spending)) {
+      const pool = pools[poolKey];
+      const amount = Math.min(Number(dice) || 0, pool?.current || 0);
+      if (amount <= 0) continue;
+
+      updateData[`system.pools.${poolKey}.current`] = pool.current - amount;
+      entries.push({ pool: poolKey, dice: amount, reason });
+      spent[poolKey] = amount;
+    }
+
+    if (entries.length === 0) return spent;
+
+    Object.assign(updateData, this._getPoolLogUpdate(entries));
+    await this.update(updateData);
+    return spent;
+  }
+
+  /**
+   * Build the flag update that appends entries to this Combat Turn's pool log
+   */
+  _getPoolLogUpdate(entries) {
+    const log = this.getFlag('shadowrun2e', 'poolLog') || [];
+    const stamped = entries.map(entry => ({
+      ...entry,
+      user: game.user.name,
+      time: Date.now()
+    }));
+    return { 'flags.shadowrun2e.poolLog': [...log, ...stamped] };
+  }
+
+  /**
+   * Get the pool spending logged since the last refresh
+   */
+  getPoolLog() {
+    return this.getFlag('shadowrun2e', 'poolLog') || [];
+  }
+
+  /**
+   * Refresh the Combat Turn pools to their maximum and start a new pool log
+   * Returns the refreshed pool sizes and the spending from the turn that ended.
+   */
+  async refreshPools() {
+    const pools = this.system.pools;
+    if (!pools) return null;
+
+    const refreshed = {};
+    const updateData = { 'flags.shadowrun2e.poolLog': [] };
+    for (const poolKey of COMBAT_TURN_POOLS) {
+      if (!pools[poolKey]) continue;
+      refreshed[poolKey] = pools[poolKey].max || 0;
+      updateData[`system.pools.${poolKey}.current`] = refreshed[poolKey];
+    }
+
+    const spent = this.getPoolLog();
+    await this.update(updateData);
+    return { refreshed, spent };
+  }
+
+  /**
+   * Get the rounds this actor has fired in a Combat Phase
+   * Recoil only carries over between attacks in the same phase.
+   */
+  getRoundsFired(phaseKey) {
+    const recoil = this.getFlag('shadowrun2e', 'recoil');
+    return phaseKey && recoil?.phase === phaseKey ? recoil.rounds || 0 : 0;
+  }
+
+  /**
+   * Record rounds fired in a Combat Phase for later recoil
+   */
+  async addRoundsFired(rounds, phaseKey) {
+    if (!phaseKey || rounds <= 0) return;
+
+    await this.setFlag('shadowrun2e', 'recoil', {
+      phase: phaseKey,
+      rounds: this.getRoundsFired(phaseKey) + rounds
+    });
+  }
+
+  /**
+   * Get the total armor rating of a type ('ballistic' or 'impact')
+   * Characters add up their equipped armor items, vehicles use their Armor
+   * rating and spirits have Immunity to Normal Weapons (Force x 2).
+   */
+  getArmorRating(armorType = 'ballistic') {
+    if (this.type === 'vehicle') {
+      return Number(this.system.armor) || 0;
+    }
+
+    if (this.type === 'spirit') {
+      return (this.system.attributes?.force?.value || 0) * 2;
+    }
+
+    return this.items
+      .filter(i => i.type === 'armor' && i.system.equipped)
+      .reduce((total, armor) => total + (Number(armor.system[armorType]) || 0), 0);
+  }
+
+  /**
+   * Get the dice and armor used to resist damage
+   * Armor piercing rounds scale the armor by their armor multiplier.
+   */
+  getDamageResistance(armorType = 'ballistic', { armorMultiplier = 1 } = {}) {
+    const dice = this.type === 'vehicle'
+      ? Number(this.system.body) || 0
+      : this.system.attributes?.body?.value || 0;
+
+    return {
+      dice: dice,
+      armor: Math.floor(this.getArmorRating(armorType) * armorMultiplier),
+      // Vehicle armor and spirit immunity stop any attack whose Power doesn't exceed them
+      hardened: this.type === 'vehicle' || this.type === 'spirit',
+      combatPool: this.system.pools?.combat?.current || 0
+    };
+  }
+
+  /**
+   * Roll a Damage Resistance Test against an attack and apply the result
+   * The attack carries the weapon's power, damage level, stun flag, armor type
+   * and the attacker's successes. Body (plus Combat Pool) is rolled against
+   * Power minus armor and the net successes stage the damage level.
+   */
+  async rollDamageResistance(attack, { poolDice = 0 } = {}) {
+    const resistance = this.getDamageResistance(attack.armorType, { armorMultiplier: attack.armorMultiplier ?? 1 });
+    const power = Number(attack.power) || 0;
+    const attackSuccesses = Number(attack.successes) || 0;
+
+    // Attacks that cannot beat hardened armor do no damage at all
+    if (resistance.hardened && power <= resistance.armor) {
+      await ChatMessage.create({
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `
+          <div class="damage-resistance">
+            <h3>${this.name} resists ${attack.source || 'the attack'}</h3>
+            <p>Power ${power} does not exceed armor ${resistance.armor}. <strong>No damage.</strong></p>
+          </div>
+        `
       });
+      return { level: 'N', boxes: 0, successes: 0 };
     }
 
-    // Critical failure only occurs when ALL dice show 1 on their first roll
-    const isCriticalFailure = totalOnes === dicePool && totalSuccesses === 0;
+    // Spend Combat Pool dice
+    poolDice = Math.max(0, Math.min(Number(poolDice) || 0, resistance.combatPool));
+    if (poolDice > 0) {
+      await this.spendPools({ combat: poolDice }, `Damage resistance vs ${attack.source || 'attack'}`);
+    }
+
+    const sustaining = this.getSustainingModifier();
+    const targetNumber = Math.max(2, power - resistance.armor) + sustaining;
+    const dicePool = Math.max(1, resistance.dice + poolDice);
+    let title = `Damage Resistance: ${attack.source || 'Attack'} (TN ${targetNumber})`;
+    if (sustaining > 0) {
+      title += ` [+${sustaining} sustaining]`;
+    }
+    if (poolDice > 0) {
+      title += ` [+${poolDice} from Combat Pool]`;
+    }
 
-    const chatData = {
+    const result = await this.rollDice(dicePool, targetNumber, title);
+
+    // Net successes stage the damage down (defender) or up (attacker) in twos
+    const netSuccesses = result.successes - attackSuccesses;
+    const level = stageDamage(attack.level, netSuccesses);
+    const boxes = getDamageBoxes(level);
+    const applied = await this.applyDamage(boxes, { stun: attack.stun });
+
+    await ChatMessage.create({
       user: game.user.id,
       speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: await foundry.applications.handlebars.renderTemplate("systems/shadowrun2e/templates/chat/dice-roll.html", {
-        title: title,
-        successes: totalSuccesses,
-        ones: totalOnes,
-        isCriticalFailure: isCriticalFailure,
-        dicePool: dicePool,
-        targetNumber: targetNumber,
-        diceResults: diceResults
-      })
-    };
+      content: `
+        <div class="damage-resistance">
+          <h3>${this.name} resists ${attack.source || 'the attack'}</h3>
+          <p><strong>Damage Code:</strong> ${power}${attack.level}${attack.stun ? ' Stun' : ''}</p>
+          <p><strong>Armor:</strong> ${resistance.armor} (${attack.armorType || 'ballistic'})</p>
+          <p><strong>Successes:</strong> ${result.successes} vs ${attackSuccesses} (net ${netSuccesses})</p>
+          <p class="damage-result"><strong>Damage Taken:</strong> ${getDamageLabel(level)}${boxes > 0 ? ` (${boxes} ${attack.stun ? 'Stun' : 'Physical'})` : ''}</p>
+          ${applied.overflow > 0 ? `<p class="damage-overflow">${applied.overflow} box(es) overflowed into Physical damage.</p>` : ''}
+        </div>
+      `
+    });
+
+    return { level, boxes, successes: result.successes, netSuccesses };
+  }
+
+  /**
+   * Apply the drain of a spell after the Drain Resistance Test
+   * Every 2 successes stage the drain level down. Drain is Stun damage unless
+   * the spell's Force exceeded the caster's Magic, when it is Physical.
+   */
+  async applyDrain(drain, successes, { source = 'Spell', force = 0 } = {}) {
+    const physical = Number(force) > (this.system.attributes?.magic?.value || 0);
+    const level = stageDamage(drain.level, Number(successes) || 0);
+    const boxes = getDamageBoxes(level);
+    const applied = await this.applyDamage(boxes, { stun: !physical });
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `
+        <div class="damage-resistance drain-resistance">
+          <h3>${this.name} resists Drain from ${source}</h3>
+          <p><strong>Drain:</strong> ${drain.power}${drain.level} ${physical ? 'Physical' : 'Stun'}${physical ? ` (Force ${force} exceeds Magic)` : ''}</p>
+          <p><strong>Successes:</strong> ${successes}</p>
+          <p class="damage-result"><strong>Drain Taken:</strong> ${getDamageLabel(level)}${boxes > 0 ? ` (${boxes} ${physical ? 'Physical' : 'Stun'})` : ''}</p>
+          ${applied.overflow > 0 ? `<p class="damage-overflow">${applied.overflow} box(es) overflowed into Physical damage.</p>` : ''}
+        </div>
+      `
+    });
+
+    return { level, boxes, physical };
+  }
+
+  /**
+   * Apply boxes of damage to the actor's condition monitors
+   * Stun damage beyond a full Stun monitor overflows into Physical damage.
+   * Spirits and vehicles only have a single damage track.
+   */
+  async applyDamage(boxes, { stun = false } = {}) {
+    boxes = Math.max(0, Number(boxes) || 0);
+    if (boxes === 0) return { boxes: 0, overflow: 0 };
+
+    if (this.type !== 'character') {
+      const health = this.system.health;
+      const newValue = Math.min(health.max || 10, (health.value || 0) + boxes);
+      await this.update({ 'system.health.value': newValue });
+      return { boxes, overflow: 0 };
+    }
+
+    const physical = this.system.health.physical;
+    const stunMonitor = this.system.health.stun;
+    const updateData = {};
+    let physicalBoxes = boxes;
+    let overflow = 0;
+
+    if (stun) {
+      const newStun = (stunMonitor.value || 0) + boxes;
+      overflow = Math.max(0, newStun - stunMonitor.max);
+      updateData['system.health.stun.value'] = Math.min(stunMonitor.max, newStun);
+      physicalBoxes = overflow;
+    }
+
+    if (physicalBoxes > 0) {
+      updateData['system.health.physical.value'] = Math.min(physical.max, (physical.value || 0) + physicalBoxes);
+    }
 
-    ChatMessage.create(chatData);
-    return { successes: totalSuccesses, ones: totalOnes, isCriticalFailure: isCriticalFailure };
+    await this.update(updateData);
+    return { boxes, overflow };
   }
 
   /**
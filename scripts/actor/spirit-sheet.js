@@ -1,3 +1,5 @@
+import { SPIRIT_TYPES, SPIRIT_ATTRIBUTES, SPIRIT_POWER_MODES, SR2Conjuring, SR2SpiritPowers } from "../spirits.js";
+
 /**
  * Extend the basic ActorSheet with Spirit specific functionality
  */
@@ -36,14 +38,52 @@ export class SR2SpiritSheet extends ActorSheet {
      * Organize and classify data for Spirit sheets.
      */
     _prepareSpiritData(context) {
+        // Attributes come from the type's stat block unless overridden by hand
+        const attributes = context.system.attributes;
+        context.hasStatBlock = context.system.typePowers.length > 0;
+        context.spiritAttributes = Object.entries(SPIRIT_ATTRIBUTES).map(([key, label]) => ({
+            key: key,
+            label: label,
+            ...attributes[key],
+            locked: context.hasStatBlock && !attributes[key].override
+        }));
+
         // Calculate derived values
-        context.initiative = context.system.attributes.reaction.value + context.system.attributes.quickness.value;
+        context.initiative = `${attributes.reaction.value} + ${context.system.initiative.dice}D6`;
 
         // Spirit type icon
+        context.spiritTypes = SPIRIT_TYPES;
         context.spiritTypeIcon = this._getSpiritTypeIcon(context.system.spiritType);
 
-        // Services remaining display
+        // Services remaining display, with the newest history first
         context.servicesRemaining = Math.max(0, context.system.services);
+        context.serviceLog = (context.system.serviceLog || []).slice().reverse().map(entry => ({
+            ...entry,
+            date: new Date(entry.time).toLocaleString()
+        }));
+
+        // Power items, with the stat block powers the spirit doesn't have yet
+        context.powers = this.actor.items
+            .filter(item => item.type === 'spiritpower')
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(item => ({
+                _id: item.id,
+                name: item.name,
+                img: item.img,
+                service: item.system.service,
+                modeLabel: SPIRIT_POWER_MODES[item.system.mode]?.label || SPIRIT_POWER_MODES.activate.label,
+                detail: this._getPowerDetail(item, context.system.attributes.force.value)
+            }));
+        context.missingPowers = context.system.typePowers.filter(name => !context.powers.some(power => power.name === name));
+    }
+
+    /**
+     * Describe what a power rolls, e.g. "6S Stun" or "vs Willpower"
+     */
+    _getPowerDetail(item, force) {
+        if (item.system.mode === 'attack') return `${force}${item.system.damage || 'M'}`;
+        if (item.system.mode === 'test') return `vs ${item.system.resistAttribute.capitalize()}`;
+        return '';
     }
 
     /**
@@ -61,6 +101,17 @@ export class SR2SpiritSheet extends ActorSheet {
             'plant': 'fas fa-seedling',
             'beast': 'fas fa-paw',
             'water': 'fas fa-water',
+            'lake': 'fas fa-water',
+            'river': 'fas fa-water',
+            'sea': 'fas fa-water',
+            'swamp': 'fas fa-water',
+            'forest': 'fas fa-tree',
+            'mountain': 'fas fa-mountain',
+            'desert': 'fas fa-sun',
+            'prairie': 'fas fa-leaf',
+            'field': 'fas fa-leaf',
+            'storm': 'fas fa-bolt',
+            'wind': 'fas fa-wind',
             'air': 'fas fa-wind',
             'earth': 'fas fa-mountain',
             'fire': 'fas fa-fire-flame-curved',
@@ -86,6 +137,55 @@ export class SR2SpiritSheet extends ActorSheet {
 
         // Spirit type change
         html.find('select[name="system.spiritType"]').change(this._onSpiritTypeChange.bind(this));
+
+        // Manual attribute overrides
+        html.find('.attribute-override').click(this._onToggleOverride.bind(this));
+
+        // Spirit powers
+        html.find('.power-use').click(this._onUsePower.bind(this));
+        html.find('.add-type-powers').click(this._onAddTypePowers.bind(this));
+        html.find('.item-create').click(this._onItemCreate.bind(this));
+        html.find('.item-edit').click(event => {
+            const itemId = event.currentTarget.closest('.item-row').dataset.itemId;
+            this.actor.items.get(itemId)?.sheet.render(true);
+        });
+        html.find('.item-delete').click(async event => {
+            event.preventDefault();
+            const itemId = event.currentTarget.closest('.item-row').dataset.itemId;
+            await this.actor.items.get(itemId)?.delete();
+        });
+    }
+
+    /**
+     * Handle rolling or activating a spirit power
+     */
+    async _onUsePower(event) {
+        event.preventDefault();
+        const itemId = event.currentTarget.closest('.item-row').dataset.itemId;
+        const power = this.actor.items.get(itemId);
+        if (power) await SR2SpiritPowers.use(this.actor, power);
+    }
+
+    /**
+     * Handle adding the stat block powers the spirit doesn't have yet
+     */
+    async _onAddTypePowers(event) {
+        event.preventDefault();
+        const names = this.actor.items.filter(item => item.type === 'spiritpower').map(item => item.name);
+        const missing = (this.actor.system.typePowers || []).filter(name => !names.includes(name));
+        if (missing.length === 0) return;
+
+        await this.actor.createEmbeddedDocuments("Item", missing.map(name => SR2Conjuring.getPowerItemData(name)));
+        ui.notifications.info(`Added ${missing.join(', ')}.`);
+    }
+
+    /**
+     * Handle creating a new power
+     */
+    async _onItemCreate(event) {
+        event.preventDefault();
+        const type = event.currentTarget.dataset.type;
+        return await Item.create({ name: `New ${game.i18n.localize(`TYPES.Item.${type}`)}`, type: type }, { parent: this.actor });
     }
 
     /**
@@ -111,17 +211,9 @@ export class SR2SpiritSheet extends ActorSheet {
      */
     async _onUseService(event) {
         event.preventDefault();
-        const currentServices = this.actor.system.services;
-
-        if (currentServices > 0) {
-            await this.actor.update({ 'system.services': currentServices - 1 });
-            ui.notifications.info(`Service used. ${currentServices - 1} services remaining.`);
-
-            if (currentServices - 1 === 0) {
-                ui.notifications.warn("Spirit has no more services remaining and may depart!");
-            }
-        } else {
-            ui.notifications.warn("Spirit has no services remaining!");
+        const entry = await this.actor.useService("Service");
+        if (entry) {
+            ui.notifications.info(`Service used. ${entry.remaining} services remaining.`);
         }
     }
 
@@ -135,6 +227,22 @@ export class SR2SpiritSheet extends ActorSheet {
         ui.notifications.info(`Service added. ${currentServices + 1} services available.`);
     }
 
+    /**
+     * Handle switching an attribute between its stat block value and a manual value
+     * A new override starts from the value the stat block gives.
+     */
+    async _onToggleOverride(event) {
+        event.preventDefault();
+        const key = event.currentTarget.dataset.attribute;
+        const attribute = this.actor.system.attributes[key];
+        if (!attribute) return;
+
+        await this.actor.update({
+            [`system.attributes.${key}.override`]: !attribute.override,
+            [`system.attributes.${key}.value`]: attribute.value
+        });
+    }
+
     /**
      * Handle spirit type change
      */
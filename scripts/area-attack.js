@@ -0,0 +1,250 @@
+/**
+ * Area Attacks for Shadowrun 2E
+ * Grenades, launched grenades and rockets scatter, place a blast template and
+ * lose Power with distance from the point of impact. Area spells fill a radius
+ * of their Force in meters and every target resists on its own.
+ */
+
+import { getMetersPerUnit, getPixelsPerMeter } from "./target-modifiers.js";
+
+/**
+ * How an area weapon is delivered, the skill used and how far it scatters
+ * Scatter is rolled on scatterDice D6 meters, less perSuccess meters for
+ * every attack success.
+ */
+export const AREA_DELIVERIES = {
+  thrown: { label: "Thrown", skill: "Throwing Weapons", scatterDice: 1, perSuccess: 2 },
+  launched: { label: "Launched", skill: "Firearms", scatterDice: 3, perSuccess: 4 },
+  rocket: { label: "Rocket / Missile", skill: "Missile Launchers", scatterDice: 2, perSuccess: 4 }
+};
+
+/**
+ * Scatter diagram directions, clockwise from straight on past the target
+ */
+const SCATTER_DIRECTIONS = [
+  "beyond the target",
+  "beyond and to the right",
+  "short and to the right",
+  "short of the target",
+  "short and to the left",
+  "beyond and to the left"
+];
+
+export class SR2AreaAttack {
+
+  /**
+   * Roll how far and in which direction an area attack scatters
+   * Resolves to { distance, direction, label, rolls }.
+   */
+  static async rollScatter(delivery, successes = 0) {
+    const type = AREA_DELIVERIES[delivery] || AREA_DELIVERIES.thrown;
+    const distanceRoll = await new Roll(`${type.scatterDice}d6`).evaluate();
+    const directionRoll = await new Roll("1d6").evaluate();
+    const distance = Math.max(0, distanceRoll.total - successes * type.perSuccess);
+
+    return {
+      distance: distance,
+      direction: directionRoll.total,
+      label: distance > 0 ? `${distance}m ${SCATTER_DIRECTIONS[directionRoll.total - 1]}` : "on target",
+      rolls: [distanceRoll, directionRoll]
+    };
+  }
+
+  /**
+   * Find where an attack lands after scattering from the aim point
+   * Directions are measured around the line of fire from the attacker.
+   */
+  static getImpactPoint(origin, aim, scatter) {
+    if (scatter.distance <= 0) return { x: aim.x, y: aim.y };
+
+    const heading = origin ? Math.atan2(aim.y - origin.y, aim.x - origin.x) : -Math.PI / 2;
+    const angle = heading + (scatter.direction - 1) * Math.PI / 3;
+    const offset = scatter.distance * getPixelsPerMeter();
+    return {
+      x: aim.x + Math.cos(angle) * offset,
+      y: aim.y + Math.sin(angle) * offset
+    };
+  }
+
+  /**
+   * Get every token the blast reaches with the Power left at its distance
+   * Returns [{ token, distance, power }] for tokens taking at least 1 Power.
+   */
+  static getTokensInBlast(center, power, blast) {
+    const pixelsPerMeter = getPixelsPerMeter();
+
+    return canvas.tokens.placeables
+      .filter(token => token.actor)
+      .map(token => {
+        const distance = Math.hypot(token.center.x - center.x, token.center.y - center.y) / pixelsPerMeter;
+        return { token, distance, power: power - Math.floor(distance * blast) };
+      })
+      .filter(entry => entry.power > 0)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Get every token within a radius in meters, nearest first
+   * Returns [{ token, distance }].
+   */
+  static getTokensInRadius(center, radius) {
+    const pixelsPerMeter = getPixelsPerMeter();
+
+    return canvas.tokens.placeables
+      .filter(token => token.actor)
+      .map(token => ({ token, distance: Math.hypot(token.center.x - center.x, token.center.y - center.y) / pixelsPerMeter }))
+      .filter(entry => entry.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Place a circular template covering everywhere the blast still has Power
+   */
+  static async placeTemplate(center, radius, source) {
+    const [template] = await canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [{
+      t: "circle",
+      x: center.x,
+      y: center.y,
+      distance: radius / getMetersPerUnit(),
+      flags: { shadowrun2e: { blast: source } }
+    }]);
+    return template;
+  }
+
+  /**
+   * Resolve an area attack aimed at a token
+   * Rolls scatter, places the blast template and posts a card with a damage
+   * resistance button for every token caught in the blast.
+   */
+  static async resolve(actor, weapon, { damage, successes = 0, aim, origin = null }) {
+    const delivery = weapon.system.area?.delivery || 'thrown';
+    const blast = weapon.getBlastRate();
+
+    const scatter = await this.rollScatter(delivery, successes);
+    const center = this.getImpactPoint(origin, aim, scatter);
+    await this.placeTemplate(center, damage.power / blast, weapon.name);
+
+    const caught = this.getTokensInBlast(center, damage.power, blast);
+    const entries = caught.map(({ token, distance, power }) => ({
+      uuid: token.document.uuid,
+      name: token.name,
+      distance: Math.round(distance),
+      power: power
+    }));
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      rolls: scatter.rolls,
+      content: `
+        <div class="area-attack sr2-chat-card">
+          <h3>${weapon.name} (${AREA_DELIVERIES[delivery]?.label || delivery})</h3>
+          <p><strong>Damage Code:</strong> ${damage.code} &nbsp; <strong>Blast:</strong> -${blast} Power per meter</p>
+          <p><strong>Attack Successes:</strong> ${successes}</p>
+          <p><strong>Scatter:</strong> ${scatter.label}</p>
+          ${entries.length > 0 ? `
+          <ul class="blast-targets">
+            ${entries.map(entry => `
+              <li>
+                <span>${entry.name}: ${entry.power}${damage.level}${damage.stun ? ' Stun' : ''} at ${entry.distance}m</span>
+                <button type="button" data-action="resist-damage" data-target="${entry.uuid}">
+                  <i class="fas fa-shield-alt"></i> Resist
+                </button>
+              </li>
+            `).join('')}
+          </ul>
+          ` : `<p class="attack-missed">Nobody is caught in the blast.</p>`}
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          attack: {
+            source: weapon.name,
+            power: damage.power,
+            level: damage.level,
+            stun: damage.stun,
+            armorType: weapon.getArmorType(),
+            armorMultiplier: damage.armorMultiplier,
+            successes: 0,
+            targets: entries.map(entry => entry.uuid),
+            blast: entries
+          }
+        }
+      }
+    });
+
+    return { scatter, center, caught };
+  }
+
+  /**
+   * Resolve an area spell after the Sorcery Test
+   * Places a template with a radius of the Force in meters and posts a card
+   * summarizing every target, with a resistance button for each one. The card
+   * carries an opposed spell test, so each defender's roll stages the effect
+   * for them alone.
+   */
+  static async resolveSpell(actor, spell, { center, caught, result, resisted = true, defenseAttribute = 'willpower' }) {
+    await this.placeTemplate(center, spell.force, spell.name);
+
+    const succeeded = result.successes > 0 && !result.isCriticalFailure;
+    const entries = caught.map(({ token, distance }) => ({
+      uuid: token.document.uuid,
+      name: token.name,
+      distance: Math.round(distance)
+    }));
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `
+        <div class="area-spell sr2-chat-card">
+          <h3>${spell.name} (Force ${spell.force}, ${spell.force}m radius)</h3>
+          <p><strong>Sorcery Successes:</strong> ${result.successes} vs TN ${result.targetNumber}</p>
+          ${spell.category === 'combat' ? `<p><strong>Damage:</strong> ${spell.level}${spell.stun ? ' Stun' : ''}, staged up by net successes</p>` : ''}
+          ${!succeeded ? `<p class="attack-missed">The spell fails.</p>` : entries.length > 0 ? `
+          <ul class="blast-targets">
+            ${entries.map(entry => `
+              <li>
+                <span>${entry.name} at ${entry.distance}m</span>
+                ${resisted ? `
+                <button type="button" data-action="roll-defense" data-target="${entry.uuid}">
+                  <i class="fas fa-shield-alt"></i> Resist
+                </button>
+                ` : `<span>${result.successes} success(es)</span>`}
+              </li>
+            `).join('')}
+          </ul>
+          ${resisted ? `
+          <div class="card-buttons">
+            <button type="button" data-action="protect-spell">
+              <i class="fas fa-hand-sparkles"></i> Protect
+            </button>
+          </div>
+          ` : ''}
+          ` : `<p class="attack-missed">Nobody is caught in the area.</p>`}
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          opposedTest: succeeded && resisted ? {
+            type: 'spell',
+            title: `${spell.name} (Force ${spell.force})`,
+            actorUuid: actor.uuid,
+            actorName: actor.name,
+            successes: result.successes,
+            isCriticalFailure: result.isCriticalFailure,
+            targetNumber: result.targetNumber,
+            defenseTN: spell.force,
+            defenseAttribute: defenseAttribute,
+            targets: entries.map(entry => entry.uuid),
+            attack: null,
+            spell: spell,
+            resolvedBy: []
+          } : null
+        }
+      }
+    });
+
+    return entries;
+  }
+}
\ No newline at end of file
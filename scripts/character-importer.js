@@ -1,3 +1,5 @@
+import { isAreaSpellName, parseAmmunition } from "./item/item.js";
+
 /**
  * Character Importer for Shadowrun 2E
  * Imports characters from JSON files into Foundry actors
@@ -265,11 +267,7 @@ export class SR2CharacterImporter {
             damage: weapon.Damage || "1M",
             reach: parseInt(weapon.Reach) || 0,
             mode: weapon.Mode || "SS",
-            ammo: {
-              current: 0,
-              max: parseInt(weapon.Ammo) || 0,
-              type: weapon.AmmoType || ""
-            },
+            ammo: parseAmmunition(weapon.Ammunition ?? weapon.Ammo),
             recoil: parseInt(weapon.Recoil) || 0,
             equipped: false,
             description: weapon.Notes || "",
@@ -294,6 +292,7 @@ export class SR2CharacterImporter {
             type: spell.Type?.toLowerCase() || "mana",
             range: "touch",
             damage: "M",
+            area: isAreaSpellName(spell.Name),
             duration: spell.Duration?.toLowerCase() || "instant",
             drain: spell.Drain || "2",
             force: spell.Rating || 1,
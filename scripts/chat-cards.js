@@ -0,0 +1,364 @@
+/**
+ * Chat Cards for Shadowrun 2E
+ * Wires up the interactive buttons on system chat messages
+ */
+
+import { SR2OpposedTest } from "./opposed-test.js";
+import { SR2Roll } from "./dice.js";
+
+/**
+ * Chat card button handlers keyed by their data-action
+ */
+const CHAT_ACTIONS = {
+  'resist-damage': onResistDamage,
+  'roll-defense': onRollDefense,
+  'protect-spell': onProtectSpell,
+  'sustain-spell': onSustainSpell,
+  'drop-spell': onDropSpell,
+  'karma-reroll': onKarmaReroll,
+  'karma-buy-success': onKarmaBuySuccess,
+  'karma-avoid-disaster': onKarmaAvoidDisaster
+};
+
+/**
+ * Register the chat message hook that activates card buttons
+ */
+export function initializeChatCards() {
+  Hooks.on("renderChatMessage", (message, html) => {
+    // Only the rolling actor's owner can spend their Karma Pool, and not on a
+    // roll another card has already carried forward
+    const speakerActor = ChatMessage.getSpeakerActor(message.speaker);
+    if (!message.isOwner || !speakerActor?.isOwner || !speakerActor.system.pools?.karma || message.getFlag("shadowrun2e", "lockKarma")) {
+      html.find('.karma-buttons').remove();
+    }
+
+    // Defense buttons are spent once their defenders have rolled
+    const test = message.getFlag("shadowrun2e", "opposedTest");
+    if (test?.resolvedBy?.length) {
+      html.find('[data-action="roll-defense"]').each((index, button) => {
+        const targets = button.dataset.target ? [button.dataset.target] : test.targets;
+        if (SR2OpposedTest.isResolved(test, targets)) button.disabled = true;
+      });
+      if (SR2OpposedTest.isResolved(test)) html.find('[data-action="protect-spell"]').prop('disabled', true);
+    }
+
+    html.find('.sr2-chat-card [data-action]').click(event => {
+      event.preventDefault();
+      const action = event.currentTarget.dataset.action;
+      const handler = CHAT_ACTIONS[action];
+      if (!handler) return;
+
+      handler(message, event).catch(error => {
+        console.error(`SR2E | Chat card action "${action}" failed:`, error);
+        ui.notifications.error("Chat card action failed. Check console for details.");
+      });
+    });
+  });
+
+  // The active GM records defenses on cards the defenders do not own
+  Hooks.once("ready", () => {
+    game.socket.on("system.shadowrun2e", data => {
+      if (data?.type === "opposedTestAdd") SR2OpposedTest._onAddRequest(data);
+    });
+  });
+}
+
+/**
+ * Find the actors the current user may act for on a chat card
+ * Prefers the tokens targeted when the card was created, then the user's
+ * controlled tokens, then their assigned character.
+ */
+export function getCardActors(targetUuids = []) {
+  const targeted = targetUuids
+    .map(uuid => {
+      const document = fromUuidSync(uuid);
+      return document instanceof Actor ? document : document?.actor;
+    })
+    .filter(actor => actor?.isOwner);
+  if (targeted.length > 0) return targeted;
+
+  const controlled = (canvas.tokens?.controlled || [])
+    .map(token => token.actor)
+    .filter(actor => actor?.isOwner);
+  if (controlled.length > 0) return controlled;
+
+  return game.user.character ? [game.user.character] : [];
+}
+
+/**
+ * Ask how many Combat Pool dice to add to a Damage Resistance Test
+ * Resolves to the number of dice, or null if the dialog was cancelled.
+ */
+async function promptCombatPool(actor, attack) {
+  const resistance = actor.getDamageResistance(attack.armorType, { armorMultiplier: attack.armorMultiplier ?? 1 });
+  if (resistance.combatPool <= 0) return 0;
+
+  return new Promise(resolve => {
+    new Dialog({
+      title: `${actor.name} - Damage Resistance`,
+      content: `
+        <div class="damage-resistance-dialog">
+          <p><strong>Damage Code:</strong> ${attack.power}${attack.level}${attack.stun ? ' Stun' : ''}</p>
+          <p><strong>Body:</strong> ${resistance.dice} &nbsp; <strong>Armor:</strong> ${resistance.armor} (${attack.armorType})</p>
+          <div class="form-group">
+            <label for="combat-pool-dice">Combat Pool Dice (${resistance.combatPool} available):</label>
+            <input type="number" id="combat-pool-dice" value="0" min="0" max="${resistance.combatPool}">
+          </div>
+        </div>
+      `,
+      buttons: {
+        roll: {
+          icon: '<i class="fas fa-shield-alt"></i>',
+          label: "Resist",
+          callback: html => resolve(parseInt(html.find('#combat-pool-dice').val()) || 0)
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel",
+          callback: () => resolve(null)
+        }
+      },
+      default: "roll",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+/**
+ * Handle the "Resist Damage" button on attack cards
+ */
+async function onResistDamage(message, event) {
+  let attack = message.getFlag("shadowrun2e", "attack");
+  if (!attack) {
+    ui.notifications.warn("This chat card has no attack data.");
+    return;
+  }
+
+  // Blast cards have a button for each token caught, resisting the Power left at its distance
+  const blastTarget = event.currentTarget.dataset.target;
+  if (blastTarget) {
+    const entry = attack.blast?.find(b => b.uuid === blastTarget);
+    if (!entry) return;
+    attack = { ...attack, power: entry.power, targets: [entry.uuid] };
+  }
+
+  const actors = blastTarget
+    ? [fromUuidSync(blastTarget)?.actor].filter(actor => actor?.isOwner)
+    : getCardActors(attack.targets);
+  if (actors.length === 0) {
+    ui.notifications.warn(blastTarget ? "You do not own that token." : "Select or target a token you own to resist damage.");
+    return;
+  }
+
+  for (const actor of actors) {
+    const poolDice = await promptCombatPool(actor, attack);
+    if (poolDice === null) continue;
+
+    await actor.rollDamageResistance(attack, { poolDice });
+  }
+}
+
+/**
+ * Handle the "Roll Defense" button on opposed test cards
+ */
+async function onRollDefense(message, event) {
+  const test = message.getFlag("shadowrun2e", "opposedTest");
+  if (!test) {
+    ui.notifications.warn("This chat card has no opposed test data.");
+    return;
+  }
+
+  // Area spell cards have a button for each target caught in the area
+  const target = event.currentTarget.dataset.target;
+  const actors = target
+    ? [fromUuidSync(target)?.actor].filter(actor => actor?.isOwner)
+    : getCardActors(test.targets);
+  if (actors.length === 0) {
+    ui.notifications.warn(target ? "You do not own that token." : "Select or target a token you own to roll defense.");
+    return;
+  }
+
+  for (const actor of actors) {
+    await SR2OpposedTest.rollDefense(message, actor);
+  }
+}
+
+/**
+ * Handle the "Protect" button on spell cards
+ * Magicians commit Spell Pool dice from their own client before the target resists.
+ */
+async function onProtectSpell(message, event) {
+  const test = message.getFlag("shadowrun2e", "opposedTest");
+  if (!test) {
+    ui.notifications.warn("This chat card has no opposed test data.");
+    return;
+  }
+
+  const actors = getCardActors();
+  if (actors.length === 0) {
+    ui.notifications.warn("Select a token you own to protect the spell's targets.");
+    return;
+  }
+
+  for (const actor of actors) {
+    await SR2OpposedTest.protect(message, actor);
+  }
+}
+
+/**
+ * Handle the "Sustain" button on the outcome of a resisted sustained spell
+ */
+async function onSustainSpell(message, event) {
+  const sustain = message.getFlag("shadowrun2e", "sustainSpell");
+  const actor = sustain ? fromUuidSync(sustain.actorUuid) : null;
+  if (!actor?.isOwner) {
+    ui.notifications.warn("Only the caster can sustain this spell.");
+    return;
+  }
+
+  const { actorUuid, ...data } = sustain;
+  const entry = await actor.sustainSpell(data);
+  if (!entry) {
+    ui.notifications.info(`${actor.name} is already sustaining ${sustain.name}.`);
+    return;
+  }
+
+  await actor.postSustainedSpell(entry);
+}
+
+/**
+ * Handle the "Drop Spell" button on sustained spell cards
+ */
+async function onDropSpell(message, event) {
+  const sustained = message.getFlag("shadowrun2e", "sustainedSpell");
+  const actor = sustained ? fromUuidSync(sustained.actorUuid) : null;
+  if (!actor?.isOwner) {
+    ui.notifications.warn("Only the caster can drop this spell.");
+    return;
+  }
+
+  const entry = await actor.dropSustainedSpell(sustained.id);
+  if (!entry) {
+    ui.notifications.info("That spell is no longer being sustained.");
+    return;
+  }
+
+  ui.notifications.info(`${actor.name} stops sustaining ${entry.name}.`);
+}
+
+/**
+ * Get the rolling actor, the success test rolls and the Karma Pool state of a dice card
+ */
+function getKarmaContext(message) {
+  if (message.getFlag("shadowrun2e", "lockKarma")) {
+    ui.notifications.warn("Another chat card already uses this roll's successes, so Karma Pool can't change it.");
+    return null;
+  }
+
+  const actor = ChatMessage.getSpeakerActor(message.speaker);
+  const rolls = message.rolls.filter(roll => roll instanceof SR2Roll);
+  if (!actor || rolls.length === 0) {
+    ui.notifications.warn("This roll has no actor to spend Karma Pool from.");
+    return null;
+  }
+
+  const karma = foundry.utils.mergeObject({
+    rerolls: 0,
+    boughtSuccesses: 0,
+    avoidedDisaster: false,
+    history: []
+  }, message.getFlag("shadowrun2e", "karma") || {}, { inplace: false });
+
+  return { actor, rolls, karma };
+}
+
+/**
+ * Re-render a dice card in place after spending Karma Pool
+ */
+async function updateKarmaCard(message, rolls, karma) {
+  const data = SR2Roll.getTestData(rolls, karma);
+  const content = await foundry.applications.handlebars.renderTemplate(SR2Roll.CHAT_TEMPLATE, data);
+
+  await message.update({
+    content: content,
+    rolls: rolls.map(roll => JSON.stringify(roll)),
+    "flags.shadowrun2e.karma": karma
+  });
+}
+
+/**
+ * Re-roll every failed die for an escalating Karma Pool cost (1, 2, 3...)
+ */
+async function onKarmaReroll(message, event) {
+  const context = getKarmaContext(message);
+  if (!context) return;
+
+  const { actor, rolls, karma } = context;
+  const test = SR2Roll.getTestData(rolls, karma);
+  if (!test.karma.canReroll) return;
+
+  const cost = test.karma.rerollCost;
+  if (!await actor.spendKarmaPool(cost, { reason: `Re-roll: ${test.title}` })) return;
+
+  const reroll = SR2Roll.create(test.failures, test.targetNumber, { title: test.title });
+  await reroll.evaluate();
+  if (game.dice3d) {
+    await game.dice3d.showForRoll(reroll, game.user, true);
+  }
+
+  // Record the position of every die that was re-rolled
+  const rerolledDice = test.diceResults
+    .map((die, index) => die.success ? null : index + 1)
+    .filter(index => index !== null);
+
+  karma.rerolls += 1;
+  karma.history.push({
+    type: 'reroll',
+    cost: cost,
+    dice: rerolledDice,
+    label: `Re-rolled ${rerolledDice.length === 1 ? 'die' : 'dice'} ${rerolledDice.join(', ')}`
+  });
+
+  await updateKarmaCard(message, [...rolls, reroll], karma);
+}
+
+/**
+ * Buy one success; the Karma Pool point is permanently lost
+ */
+async function onKarmaBuySuccess(message, event) {
+  const context = getKarmaContext(message);
+  if (!context) return;
+
+  const { actor, rolls, karma } = context;
+  const test = SR2Roll.getTestData(rolls, karma);
+  if (!test.karma.canBuySuccess) {
+    ui.notifications.warn("Successes can only be bought on a test that rolled at least one success.");
+    return;
+  }
+
+  if (!await actor.spendKarmaPool(1, { permanent: true, reason: `Bought success: ${test.title}` })) return;
+
+  karma.boughtSuccesses += 1;
+  karma.history.push({ type: 'buy', cost: 1, label: "Bought a success" });
+
+  await updateKarmaCard(message, rolls, karma);
+}
+
+/**
+ * Spend Karma Pool to avoid the disaster of the Rule of One
+ */
+async function onKarmaAvoidDisaster(message, event) {
+  const context = getKarmaContext(message);
+  if (!context) return;
+
+  const { actor, rolls, karma } = context;
+  const test = SR2Roll.getTestData(rolls, karma);
+  if (!test.karma.canAvoidDisaster) return;
+
+  if (!await actor.spendKarmaPool(1, { reason: `Avoided disaster: ${test.title}` })) return;
+
+  karma.avoidedDisaster = true;
+  karma.history.push({ type: 'disaster', cost: 1, label: "Avoided the Rule of One" });
+
+  await updateKarmaCard(message, rolls, karma);
+}
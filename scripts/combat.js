@@ -0,0 +1,314 @@
+/**
+ * Combat for Shadowrun 2E
+ * Runs Foundry's Combat tracker on SR2 initiative passes
+ */
+
+import { SR2InitiativeRoll } from "./dice.js";
+import { INITIATIVE_MODES } from "./actor/actor.js";
+
+/**
+ * Get the initiative scores a combatant acts on, one per pass
+ * A score of 27 acts on 27, 17 and 7.
+ */
+export function getActionPhases(score) {
+  const phases = [];
+  for (let current = Number(score) || 0; current > 0; current -= 10) {
+    phases.push(current);
+  }
+  return phases;
+}
+
+/**
+ * Identify the Combat Phase being resolved
+ * Uses Foundry's combat when one is running, otherwise the initiative tracker.
+ * Returns null outside of combat.
+ */
+export function getCombatPhaseKey() {
+  const combat = game.combat;
+  if (combat instanceof SR2Combat && combat.started) {
+    return `${combat.id}.${combat.round}.${combat.phase}`;
+  }
+
+  const tracker = game.shadowrun2e?.initiativeTracker;
+  if (tracker?.isActive) {
+    return `tracker.${tracker.round}.${tracker.currentPhase}`;
+  }
+
+  return null;
+}
+
+/**
+ * A combatant that rolls Reaction + Nd6 and acts once per 10 points of initiative
+ */
+export class SR2Combatant extends Combatant {
+
+  /**
+   * The initiative mode this combatant rolls with
+   * A combatant flag overrides the mode set on the actor.
+   */
+  get initiativeMode() {
+    return this.getFlag("shadowrun2e", "initiativeMode") || this.actor?.system.initiative?.mode || 'normal';
+  }
+
+  /** @override */
+  getInitiativeRoll(formula) {
+    const { dice, reaction, woundPenalty } = this.actor?.getInitiative
+      ? this.actor.getInitiative(this.initiativeMode)
+      : { dice: 1, reaction: 0, woundPenalty: 0 };
+    return SR2InitiativeRoll.create(dice, reaction, woundPenalty);
+  }
+
+  get actionPhases() {
+    return this.initiative === null ? [] : getActionPhases(this.initiative);
+  }
+
+  /**
+   * Get the score this combatant acts on in a pass, or 0 if it has no action
+   */
+  getPhaseInitiative(phase) {
+    return this.actionPhases[phase - 1] || 0;
+  }
+
+  isActingInPhase(phase) {
+    return !this.isDefeated && this.getPhaseInitiative(phase) > 0;
+  }
+}
+
+/**
+ * A combat encounter that walks every initiative pass of a Combat Turn
+ * The round is the Combat Turn; the current pass is kept in a system flag.
+ */
+export class SR2Combat extends Combat {
+
+  /**
+   * The current initiative pass within the Combat Turn
+   */
+  get phase() {
+    return this.getFlag("shadowrun2e", "phase") || 1;
+  }
+
+  /**
+   * The number of passes in this Combat Turn, from the highest initiative
+   */
+  get maxPhases() {
+    const highest = Math.max(0, ...this.combatants.map(c => c.initiative || 0));
+    return Math.max(1, Math.ceil(highest / 10));
+  }
+
+  /**
+   * Order the combatants for a pass
+   * Combatants acting in the pass come first by their score for it,
+   * then everyone else by total initiative.
+   */
+  _getTurnsForPhase(phase) {
+    const score = combatant => combatant.isActingInPhase(phase) ? combatant.getPhaseInitiative(phase) : 0;
+
+    return this.combatants.contents.sort((a, b) => {
+      return (score(b) - score(a))
+        || ((b.initiative ?? -1) - (a.initiative ?? -1))
+        || a.name.localeCompare(b.name)
+        || a.id.localeCompare(b.id);
+    });
+  }
+
+  /** @override */
+  setupTurns() {
+    this.turns ||= [];
+
+    const turns = this._getTurnsForPhase(this.phase);
+    if (this.turn !== null) {
+      this.turn = Math.min(Math.max(this.turn, 0), Math.max(turns.length - 1, 0));
+    }
+
+    const combatant = turns[this.turn];
+    this.current = {
+      round: this.round,
+      turn: this.turn,
+      combatantId: combatant?.id || null,
+      tokenId: combatant?.tokenId || null
+    };
+    if (!this.previous) this.previous = this.current;
+
+    return this.turns = turns;
+  }
+
+  /** @override */
+  _onUpdate(changed, options, userId) {
+    // A new pass re-sorts the turn order; the core then works out the current
+    // turn from its prior state, so turn change events still fire
+    if (foundry.utils.hasProperty(changed, "flags.shadowrun2e.phase")) {
+      this.turns = this._getTurnsForPhase(this.phase);
+    }
+    super._onUpdate(changed, options, userId);
+  }
+
+  /** @override */
+  async rollInitiative(ids, { updateTurn = true, messageOptions = {} } = {}) {
+    ids = typeof ids === "string" ? [ids] : ids;
+    const currentId = this.combatant?.id;
+    const chatRollMode = game.settings.get("core", "rollMode");
+
+    const updates = [];
+    const messages = [];
+    for (const id of ids) {
+      const combatant = this.combatants.get(id);
+      if (!combatant?.isOwner) continue;
+
+      const roll = combatant.getInitiativeRoll();
+      await roll.evaluate();
+      const score = roll.score;
+      updates.push({ _id: id, initiative: score });
+
+      const woundPenalty = roll.options.woundPenalty || 0;
+      const mode = combatant.initiativeMode !== 'normal' ? ` (${INITIATIVE_MODES[combatant.initiativeMode]?.label})` : '';
+      const chatData = await roll.toMessage(foundry.utils.mergeObject({
+        speaker: ChatMessage.getSpeaker({ actor: combatant.actor, token: combatant.token, alias: combatant.name }),
+        flavor: `${combatant.name} rolls Initiative${mode}${woundPenalty > 0 ? ` (-${woundPenalty} wounds)` : ''}: acts on ${getActionPhases(score).join(', ')}`,
+        flags: { "core.initiativeRoll": true }
+      }, messageOptions), { create: false });
+
+      chatData.rollMode = "rollMode" in messageOptions
+        ? messageOptions.rollMode
+        : (combatant.hidden ? CONST.DICE_ROLL_MODES.PRIVATE : chatRollMode);
+      if (messages.length > 0) chatData.sound = null;
+      messages.push(chatData);
+    }
+
+    if (updates.length === 0) return this;
+
+    await this.updateEmbeddedDocuments("Combatant", updates);
+
+    // Keep the same combatant acting after the order changes
+    if (updateTurn && currentId) {
+      await this.update({ turn: this.turns.findIndex(t => t.id === currentId) });
+    }
+
+    await ChatMessage.implementation.create(messages);
+    return this;
+  }
+
+  /** @override */
+  async startCombat() {
+    await this.setFlag("shadowrun2e", "phase", 1);
+    return super.startCombat();
+  }
+
+  /** @override */
+  async resetAll() {
+    await this.setFlag("shadowrun2e", "phase", 1);
+    return super.resetAll();
+  }
+
+  /**
+   * Advance to the next combatant acting in this pass, or to the next pass
+   * @override
+   */
+  async nextTurn() {
+    const phase = this.phase;
+    const start = this.turn === null ? 0 : this.turn + 1;
+    const next = this.turns.findIndex((combatant, index) => index >= start && combatant.isActingInPhase(phase));
+
+    if (next === -1) return this.nextPhase();
+    return this.update({ turn: next }, { direction: 1 });
+  }
+
+  /**
+   * Go back to the previous combatant acting in this pass, or to the last pass
+   * @override
+   */
+  async previousTurn() {
+    const phase = this.phase;
+    const end = this.turn === null ? this.turns.length : this.turn;
+    const previous = this.turns.findLastIndex((combatant, index) => index < end && combatant.isActingInPhase(phase));
+    if (previous !== -1) return this.update({ turn: previous }, { direction: -1 });
+
+    if (phase > 1) {
+      const turns = this._getTurnsForPhase(phase - 1);
+      const last = turns.findLastIndex(combatant => combatant.isActingInPhase(phase - 1));
+      return this.update({ turn: Math.max(last, 0), "flags.shadowrun2e.phase": phase - 1 }, { direction: -1 });
+    }
+
+    return this.previousRound();
+  }
+
+  /**
+   * Advance to the next initiative pass
+   * Starts a new Combat Turn once nobody has an action left.
+   */
+  async nextPhase() {
+    const phase = this.phase + 1;
+    const turns = this._getTurnsForPhase(phase);
+    const first = turns.findIndex(combatant => combatant.isActingInPhase(phase));
+
+    if (first === -1) return this.nextRound();
+    return this.update({ turn: first, "flags.shadowrun2e.phase": phase }, { direction: 1 });
+  }
+
+  /**
+   * Start the next Combat Turn
+   * Initiative is re-rolled at the start of every Combat Turn, so the new
+   * turn's passes run on fresh scores.
+   * @override
+   */
+  async nextRound() {
+    await this.setFlag("shadowrun2e", "phase", 1);
+    await this.rollInitiative(this.combatants.map(combatant => combatant.id), { updateTurn: false });
+    return super.nextRound();
+  }
+
+  /** @override */
+  async previousRound() {
+    if (this.round <= 1) {
+      await this.setFlag("shadowrun2e", "phase", 1);
+      return super.previousRound();
+    }
+
+    // Step back into the last pass of the previous Combat Turn
+    const phase = this.maxPhases;
+    const turns = this._getTurnsForPhase(phase);
+    const last = turns.findLastIndex(combatant => combatant.isActingInPhase(phase));
+    return this.update({
+      round: this.round - 1,
+      turn: Math.max(last, 0),
+      "flags.shadowrun2e.phase": phase
+    }, { direction: -1 });
+  }
+}
+
+/**
+ * Show each combatant's score for the current pass in the sidebar Combat tracker
+ */
+export function initializeCombatTracker() {
+  Hooks.on("renderCombatTracker", (app, html) => {
+    const combat = app.viewed;
+    if (!(combat instanceof SR2Combat)) return;
+
+    html = $(html);
+    const phase = combat.phase;
+
+    html.find('.combatant[data-combatant-id]').each((i, element) => {
+      const combatant = combat.combatants.get(element.dataset.combatantId);
+      if (!combatant) return;
+
+      // Label astral, Matrix and rigging combatants
+      const mode = combatant.initiativeMode;
+      if (mode !== 'normal') {
+        $(element).find('.token-name h4').append(` <span class="sr2-initiative-mode">(${INITIATIVE_MODES[mode]?.label})</span>`);
+      }
+
+      if (combatant.initiative === null) return;
+
+      const phaseScore = combatant.getPhaseInitiative(phase);
+      const initiative = element.querySelector('.token-initiative .initiative');
+      if (initiative) {
+        initiative.textContent = phaseScore;
+        initiative.title = `Initiative ${combatant.initiative}: acts on ${combatant.actionPhases.join(', ')}`;
+      }
+      element.classList.toggle('sr2-phase-inactive', phaseScore === 0);
+    });
+
+    if (combat.started) {
+      html.find('.encounter-title').append(` <span class="sr2-phase">Phase ${phase}</span>`);
+    }
+  });
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Damage helpers for Shadowrun 2E
+ * Damage levels, staging and damage code parsing shared by every workflow
+ */
+
+/**
+ * Damage levels in staging order with the condition monitor boxes they fill
+ */
+export const DAMAGE_LEVELS = {
+  N: { key: 'N', label: 'No Damage', boxes: 0 },
+  L: { key: 'L', label: 'Light', boxes: 1 },
+  M: { key: 'M', label: 'Moderate', boxes: 3 },
+  S: { key: 'S', label: 'Serious', boxes: 6 },
+  D: { key: 'D', label: 'Deadly', boxes: 10 }
+};
+
+const LEVEL_ORDER = ['N', 'L', 'M', 'S', 'D'];
+
+const DAMAGE_CODE_PATTERN = /^(?:\(?STR([+-]\d+)?\)?|(\d+))([LMSD])(.*)$/i;
+
+/**
+ * Parse a weapon damage code such as "9M", "(STR+3)M", "6S Stun" or "10S(f)"
+ * Strength based codes are resolved against the supplied strength. Anything
+ * after the damage level may mark Stun damage, flechettes "(f)", armor
+ * piercing "AP"/"APDS" (halves armor) and blast falloff "(-1/m)".
+ * Returns null when the code cannot be read.
+ */
+export function parseDamageCode(code, { strength = 0 } = {}) {
+  if (!code || typeof code !== 'string') return null;
+
+  const compact = code.replace(/\s+/g, '');
+  const match = compact.match(DAMAGE_CODE_PATTERN);
+  if (!match) return null;
+
+  const [, strengthModifier, flatPower, level, remainder] = match;
+  const power = flatPower !== undefined
+    ? Number(flatPower)
+    : (Number(strength) || 0) + (Number(strengthModifier) || 0);
+  const stun = /stun/i.test(remainder);
+  const blast = remainder.match(/\((-?\d+(?:\.\d+)?)\/m\)/i);
+
+  return {
+    code: code.trim(),
+    power: Math.max(0, power),
+    level: level.toUpperCase(),
+    stun: stun,
+    type: stun ? 'stun' : 'physical',
+    strengthBased: flatPower === undefined,
+    flechette: /\(f\)/i.test(remainder),
+    armorMultiplier: /\bAP(?:DS)?\b/i.test(remainder) ? 0.5 : 1,
+    blast: blast ? Math.abs(Number(blast[1])) : null
+  };
+}
+
+/**
+ * Explain why a damage code cannot be read, or return null when it is valid
+ * An empty code is valid; the item simply has no damage.
+ */
+export function getDamageCodeError(code) {
+  if (!code || !String(code).trim()) return null;
+  if (parseDamageCode(String(code))) return null;
+
+  return `"${code}" is not a damage code. Use Power and Damage Level, e.g. 9M, (STR+2)S, 6S Stun or 10S(f).`;
+}
+
+const DRAIN_CODE_PATTERN = /^\[?\(?F(?:\/(\d+))?\)?([+-]\d+)?\]?(.*)$/;
+
+/**
+ * Parse a spell drain code such as "(F/2)M", "[(F/2)+1]S" or "3L"
+ * Power is the spell's Force halved (rounded down) plus the modifier, with a
+ * minimum of 2. A level of "(Wound Level)" takes the damage level the caster
+ * chose for the spell, so level is null and woundLevel is true.
+ * Returns null when the code cannot be read.
+ */
+export function parseDrainCode(code, force = 1) {
+  if (code === null || code === undefined) return null;
+
+  const compact = String(code).replace(/\s+/g, '').toUpperCase();
+  if (!compact) return null;
+
+  let power;
+  let remainder;
+  const formula = compact.match(DRAIN_CODE_PATTERN);
+  const flat = compact.match(/^(\d+)(.*)$/);
+  if (formula) {
+    const divisor = Number(formula[1]) || 1;
+    power = Math.floor((Number(force) || 0) / divisor) + (Number(formula[2]) || 0);
+    remainder = formula[3];
+  } else if (flat) {
+    power = Number(flat[1]);
+    remainder = flat[2];
+  } else {
+    return null;
+  }
+
+  const woundLevel = remainder === '(WOUNDLEVEL)';
+  if (remainder && !woundLevel && !/^[LMSD]$/.test(remainder)) return null;
+
+  return {
+    code: String(code).trim(),
+    power: Math.max(2, power),
+    level: woundLevel || !remainder ? null : remainder,
+    woundLevel: woundLevel
+  };
+}
+
+/**
+ * Explain why a drain code cannot be read, or return null when it is valid
+ */
+export function getDrainCodeError(code) {
+  if (!code || !String(code).trim()) return null;
+  if (/^\[?special\]?$/i.test(String(code).trim())) return null;
+  if (parseDrainCode(code)) return null;
+
+  return `"${code}" is not a drain code. Use a Force formula and Damage Level, e.g. (F/2)M, [(F/2)+1]S or (F/2)(Wound Level).`;
+}
+
+/**
+ * Get the drain of conjuring, banishing or controlling a spirit
+ * The Power is the spirit's Force; the level rises as the Force passes half,
+ * all and one and a half times the magician's Charisma.
+ */
+export function getConjuringDrain(force, charisma) {
+  force = Number(force) || 1;
+  charisma = Math.max(1, Number(charisma) || 1);
+
+  let level = 'D';
+  if (force <= charisma / 2) level = 'L';
+  else if (force <= charisma) level = 'M';
+  else if (force <= charisma * 1.5) level = 'S';
+
+  return { code: `${force}${level}`, power: force, level: level };
+}
+
+/**
+ * Stage a damage level by net successes
+ * Every 2 net successes for the defender stage the damage down one level,
+ * every 2 net successes for the attacker (negative values) stage it up.
+ */
+export function stageDamage(level, netSuccesses) {
+  const index = LEVEL_ORDER.indexOf(level);
+  if (index < 0) return 'N';
+
+  const steps = Math.trunc((Number(netSuccesses) || 0) / 2);
+  const staged = Math.min(LEVEL_ORDER.length - 1, Math.max(0, index - steps));
+  return LEVEL_ORDER[staged];
+}
+
+/**
+ * Raise a damage code for a burst or full-auto attack
+ * Bursts add +3 Power and one damage level; full auto adds +1 Power per round
+ * and one damage level for every full three rounds.
+ */
+export function getAutofireDamage(damage, mode, rounds) {
+  if (!damage || (mode !== 'BF' && mode !== 'FA')) return damage;
+
+  const levels = mode === 'BF' ? 1 : Math.floor(rounds / 3);
+  const power = damage.power + rounds;
+  const level = stageDamage(damage.level, -2 * levels);
+
+  return {
+    ...damage,
+    code: `${power}${level}${damage.stun ? ' Stun' : ''}`,
+    power: power,
+    level: level
+  };
+}
+
+/**
+ * Get the number of condition monitor boxes for a damage level
+ */
+export function getDamageBoxes(level) {
+  return DAMAGE_LEVELS[level]?.boxes || 0;
+}
+
+/**
+ * Get a readable label for a damage level
+ */
+export function getDamageLabel(level) {
+  return DAMAGE_LEVELS[level]?.label || 'No Damage';
+}
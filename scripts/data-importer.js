@@ -1,3 +1,5 @@
+import { isAreaSpellName, parseAmmunition } from "./item/item.js";
+
 /**
  * Data Importer for Shadowrun 2E
  * Loads items from JSON files into Foundry compendiums
@@ -193,6 +195,7 @@ export class SR2DataImporter {
             category: spell.Class.toLowerCase(),
             range: "touch",
             damage: "M",
+            area: isAreaSpellName(spell.Name),
             quantity: 1,
             weight: 0,
             price: 0
@@ -902,17 +905,21 @@ export class SR2DataImporter {
 
     // Weapon-specific fields
     if (['Edged weapon', 'Bow and crossbow', 'Firearms', 'Rockets and Missiles', 'Grenades', 'VehicleFire'].includes(categoryName)) {
-      fields.weaponType = categoryName.includes('Firearms') || categoryName.includes('Bow') || categoryName.includes('Rockets') ? 'ranged' : 'melee';
+      fields.weaponType = categoryName.includes('Firearms') || categoryName.includes('Bow') || categoryName.includes('Rockets') || categoryName === 'Grenades' || categoryName === 'VehicleFire' ? 'ranged' : 'melee';
       fields.concealability = parseInt(item.Concealability) || 0;
       fields.damage = item.Damage || "1L";
       fields.reach = parseInt(item.Reach) || 0;
       fields.mode = item.Mode || "SS";
-      fields.ammo = {
-        current: 0,
-        max: parseInt(item.Ammo) || 0,
-        type: item.AmmoType || ""
-      };
+      fields.ammo = parseAmmunition(item.Ammunition ?? item.Ammo);
       fields.recoil = parseInt(item.Recoil) || 0;
+      fields.accessories = {
+        smartlink: /\bsmart/i.test(item.Name),
+        laserSight: /laser sight/i.test(item.Name)
+      };
+      fields.area = {
+        delivery: { 'Grenades': 'thrown', 'Rockets and Missiles': 'rocket' }[categoryName] || "",
+        blast: 0
+      };
       fields.equipped = false;
 
       // Assign range type for ranged weapons
@@ -0,0 +1,185 @@
+/**
+ * Dice for Shadowrun 2E
+ * Success tests with exploding sixes and initiative rolls built on Foundry's Roll
+ */
+
+/**
+ * A Shadowrun 2E success test
+ * Rolls a pool of d6 that explode on 6. Each die's explosion chain is added up
+ * and compared to the target number; the Rule of One applies when every die
+ * comes up 1 on its first roll.
+ */
+export class SR2Roll extends Roll {
+
+  static CHAT_TEMPLATE = "systems/shadowrun2e/templates/chat/dice-roll.html";
+
+  /**
+   * Build a success test for a dice pool against a target number
+   */
+  static create(dicePool, targetNumber = 4, { title = "Dice Roll" } = {}) {
+    dicePool = Math.max(1, Number(dicePool) || 1);
+    targetNumber = Number(targetNumber) || 4;
+    return new this(`${dicePool}d6x6`, {}, { targetNumber, title });
+  }
+
+  get targetNumber() {
+    return this.options.targetNumber ?? 4;
+  }
+
+  get title() {
+    return this.options.title ?? "Dice Roll";
+  }
+
+  get dicePool() {
+    return this.dice[0]?.number || 0;
+  }
+
+  /**
+   * Group the raw d6 results into SR2 dice
+   * Foundry appends each explosion to the end of the results in the order the
+   * sixes were rolled, so every exploded result owns the next unclaimed result.
+   */
+  get sr2Dice() {
+    const term = this.dice[0];
+    if (!term?.results?.length) return [];
+
+    const results = term.results;
+    const owners = [];
+    const chains = [];
+    let next = term.number;
+
+    results.forEach((result, index) => {
+      if (index < term.number) {
+        owners[index] = index;
+        chains[index] = [result.result];
+      }
+      if (result.exploded && next < results.length) {
+        owners[next] = owners[index];
+        chains[owners[index]].push(results[next].result);
+        next++;
+      }
+    });
+
+    return chains.map(rolls => {
+      const total = rolls.reduce((sum, value) => sum + value, 0);
+      return {
+        results: rolls,
+        total: total,
+        success: total >= this.targetNumber,
+        isOne: rolls[0] === 1
+      };
+    });
+  }
+
+  get successes() {
+    return this.sr2Dice.filter(die => die.success).length;
+  }
+
+  get ones() {
+    return this.sr2Dice.filter(die => die.isOne).length;
+  }
+
+  /**
+   * Rule of One: every die showed a 1 on its first roll
+   */
+  get isCriticalFailure() {
+    const dice = this.sr2Dice;
+    return dice.length > 0 && dice.every(die => die.isOne) && this.successes === 0;
+  }
+
+  /**
+   * Get the data used to render the dice-roll chat card
+   */
+  getChatData({ isPrivate = false } = {}) {
+    return this.constructor.getTestData([this], {}, { isPrivate });
+  }
+
+  /** @override */
+  async render({ flavor, template = this.constructor.CHAT_TEMPLATE, isPrivate = false } = {}) {
+    if (!this._evaluated) await this.evaluate();
+    return foundry.applications.handlebars.renderTemplate(template, this.getChatData({ isPrivate }));
+  }
+
+  /**
+   * Combine a success test with its Karma Pool re-rolls
+   * Each re-roll replaces the dice that were still failing, in order. Bought
+   * successes are added on top and an avoided disaster cancels the Rule of One.
+   */
+  static getTestData(rolls, karma = {}, { isPrivate = false } = {}) {
+    const [initial, ...rerolls] = rolls;
+    let dice = initial.sr2Dice;
+
+    for (const reroll of rerolls) {
+      const replacements = reroll.sr2Dice.map(die => ({ ...die, rerolled: true }));
+      dice = dice.map(die => die.success ? die : (replacements.shift() || die));
+    }
+
+    const boughtSuccesses = karma.boughtSuccesses || 0;
+    const rolledSuccesses = dice.filter(die => die.success).length;
+    const successes = rolledSuccesses + boughtSuccesses;
+    const ones = dice.filter(die => die.isOne).length;
+    const failures = dice.length - rolledSuccesses;
+    const isCriticalFailure = !karma.avoidedDisaster && dice.length > 0 && dice.every(die => die.isOne) && successes === 0;
+
+    return {
+      title: initial.title,
+      dicePool: initial.dicePool,
+      targetNumber: initial.targetNumber,
+      successes: successes,
+      ones: ones,
+      failures: failures,
+      isCriticalFailure: isCriticalFailure,
+      diceResults: dice,
+      isPrivate: isPrivate,
+      karma: {
+        rerollCost: (karma.rerolls || 0) + 1,
+        canReroll: failures > 0 && !isCriticalFailure,
+        canBuySuccess: rolledSuccesses > 0,
+        canAvoidDisaster: isCriticalFailure,
+        boughtSuccesses: boughtSuccesses,
+        avoidedDisaster: !!karma.avoidedDisaster,
+        history: karma.history || []
+      }
+    };
+  }
+}
+
+/**
+ * A Shadowrun 2E initiative roll: Reaction + Nd6, less wound modifiers
+ * Initiative dice never explode and the score can't drop below 1.
+ */
+export class SR2InitiativeRoll extends Roll {
+
+  /**
+   * Build an initiative roll
+   */
+  static create(dice, reaction, woundPenalty = 0) {
+    dice = Math.max(1, Number(dice) || 1);
+    reaction = Number(reaction) || 0;
+    woundPenalty = Math.max(0, Number(woundPenalty) || 0);
+
+    let formula = `${dice}d6 + ${reaction}`;
+    if (woundPenalty > 0) {
+      formula += ` - ${woundPenalty}`;
+    }
+    return new this(formula, {}, { dice, reaction, woundPenalty });
+  }
+
+  get diceTotal() {
+    return this.dice[0]?.total || 0;
+  }
+
+  /**
+   * The initiative score, never below 1
+   */
+  get score() {
+    return Math.max(1, this.total);
+  }
+}
+
+/**
+ * Register the system roll classes so chat messages can rebuild them
+ */
+export function registerDice() {
+  CONFIG.Dice.rolls.push(SR2Roll, SR2InitiativeRoll);
+}
@@ -2,6 +2,10 @@
  * Shadowrun 2E Initiative Tracker
  * Handles initiative rolling, phase tracking, and turn order
  */
+
+import { SR2InitiativeRoll } from "./dice.js";
+import { INITIATIVE_MODES } from "./actor/actor.js";
+
 export class SR2InitiativeTracker extends Application {
 
     constructor(options = {}) {
@@ -10,6 +14,7 @@ export class SR2InitiativeTracker extends Application {
         this.currentPhase = 1;
         this.currentTurn = 0;
         this.isActive = false;
+        this.round = 0;
     }
 
     /** @override */
@@ -38,7 +43,12 @@ export class SR2InitiativeTracker extends Application {
                 ...c,
                 currentInit: this.getCurrentInitiative(c),
                 isActive: this.isActive && activeCombatants[this.currentTurn]?.id === c.id,
-                isActiveInPhase: this.getCurrentInitiative(c) > 0
+                isActiveInPhase: this.getCurrentInitiative(c) > 0,
+                canControl: this._canControl(c),
+                isHolding: !!c.holding,
+                isDelayed: c.delayedTo?.phase === this.currentPhase,
+                mode: c.mode || 'normal',
+                modeLabel: INITIATIVE_MODES[c.mode || 'normal']?.label
             }))
             .sort((a, b) => {
                 // Sort by current initiative for this phase, then by original initiative
@@ -47,14 +57,20 @@ export class SR2InitiativeTracker extends Application {
                 if (aInit !== bInit) {
                     return bInit - aInit;
                 }
+                if (this._isInterrupting(a) !== this._isInterrupting(b)) {
+                    return this._isInterrupting(a) ? -1 : 1;
+                }
                 return (b.initiative || 0) - (a.initiative || 0);
             });
 
         return {
             ...data,
+            isGM: game.user.isGM,
+            initiativeModes: INITIATIVE_MODES,
             combatants: sortedCombatants,
             activeCombatants: activeCombatants,
             currentPhase: this.currentPhase,
+            round: this.round,
             isActive: this.isActive,
             hasActiveCombat: this.combatants.length > 0,
             maxPhases: this._getMaximumPhases()
@@ -92,6 +108,12 @@ export class SR2InitiativeTracker extends Application {
         // Edit initiative
         html.find('.edit-initiative').change(this._onEditInitiative.bind(this));
 
+        // Change initiative mode
+        html.find('.initiative-mode-select').change(this._onChangeMode.bind(this));
+
+        // Delay, hold, act now and spend initiative
+        html.find('.combatant-action').click(this._onCombatantAction.bind(this));
+
         // GM NPC controls
         html.find('.add-npc').click(this._onAddNPC.bind(this));
         html.find('.roll-npc-initiative').click(this._onRollNPCInitiative.bind(this));
@@ -99,6 +121,252 @@ export class SR2InitiativeTracker extends Application {
         html.find('.manage-npcs').click(this._onManageNPCs.bind(this));
     }
 
+    /**
+     * Get the tracker state that is saved to the world and shared with players
+     */
+    getState() {
+        return {
+            combatants: this.combatants,
+            currentPhase: this.currentPhase,
+            currentTurn: this.currentTurn,
+            isActive: this.isActive,
+            round: this.round
+        };
+    }
+
+    /**
+     * Replace the tracker state with a saved or broadcast copy
+     */
+    loadState(state = {}) {
+        this.combatants = Array.isArray(state.combatants) ? foundry.utils.deepClone(state.combatants) : [];
+        this.currentPhase = state.currentPhase || 1;
+        this.currentTurn = state.currentTurn || 0;
+        this.isActive = !!state.isActive;
+        this.round = state.round || 0;
+
+        if (this.rendered) this.render();
+    }
+
+    /**
+     * Save the tracker state to the world and push it to every client (GM only)
+     */
+    async _saveState() {
+        this.render();
+        if (!game.user.isGM) return;
+
+        const state = this.getState();
+        try {
+            await game.settings.set("shadowrun2e", "initiativeTracker", state);
+            game.socket.emit("system.shadowrun2e", { type: "initiativeTrackerState", state: state });
+        } catch (error) {
+            console.error("SR2E | Failed to save initiative tracker state:", error);
+            ui.notifications.error("Failed to save the initiative tracker. Check console for details.");
+        }
+    }
+
+    /**
+     * Add or update combatants
+     * Players send the change to the GM, who applies it and shares the new state.
+     */
+    async updateCombatants(combatants) {
+        return this._requestChange("updateCombatants", { combatants });
+    }
+
+    /**
+     * Remove a combatant, routing the change through the GM for players
+     */
+    async removeCombatant(combatantId) {
+        return this._requestChange("removeCombatant", { combatantId });
+    }
+
+    /**
+     * Apply a change directly as the GM, or ask the active GM to apply it
+     */
+    async _requestChange(action, data) {
+        if (game.user.isGM) {
+            this._applyChange(action, data, game.user);
+            return this._saveState();
+        }
+
+        if (!game.users.activeGM) {
+            ui.notifications.warn("A GM must be connected to update the initiative tracker.");
+            return;
+        }
+
+        game.socket.emit("system.shadowrun2e", {
+            type: "initiativeTrackerChange",
+            action: action,
+            data: data,
+            userId: game.user.id
+        });
+    }
+
+    /**
+     * Handle a tracker change sent by a player (active GM only)
+     */
+    async _onChangeRequest({ action, data, userId }) {
+        if (game.user !== game.users.activeGM) return;
+
+        const user = game.users.get(userId);
+        if (!user) return;
+
+        this._applyChange(action, data, user);
+        await this._saveState();
+    }
+
+    /**
+     * Apply a combatant change on behalf of a user
+     * Players may only change combatants whose actors they own.
+     */
+    _applyChange(action, data, user) {
+        switch (action) {
+            case "updateCombatants":
+                for (const combatant of data.combatants || []) {
+                    const existing = this.combatants.find(c => c.id === combatant.id);
+                    if (!this._canControl(existing || combatant, user)) continue;
+
+                    if (existing) {
+                        Object.assign(existing, combatant);
+                    } else {
+                        this.combatants.push(combatant);
+                    }
+                }
+                break;
+
+            case "removeCombatant": {
+                const combatant = this.combatants.find(c => c.id === data.combatantId);
+                if (!combatant || !this._canControl(combatant, user)) return;
+                if (combatant.isNPC && !user.isGM) return;
+
+                this.combatants = this.combatants.filter(c => c.id !== data.combatantId);
+
+                // Adjust current turn if necessary
+                if (this.currentTurn >= this.combatants.length) {
+                    this.currentTurn = 0;
+                }
+                break;
+            }
+
+            case "combatantAction": {
+                const combatant = this.combatants.find(c => c.id === data.combatantId);
+                if (!combatant || !this.isActive || !this._canControl(combatant, user)) return;
+
+                this._applyCombatantAction(combatant, data);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Delay, hold, release a held action or spend initiative for a combatant
+     * The turn stays on whoever was acting, or moves to a combatant who interrupts.
+     */
+    _applyCombatantAction(combatant, { type, score, amount, reason }) {
+        const activeCombatants = this._getActiveCombatantsForPhase();
+        const actingCombatant = activeCombatants[this.currentTurn];
+        const isCurrent = actingCombatant?.id === combatant.id;
+        const currentInit = this.getCurrentInitiative(combatant);
+        let announcement;
+
+        switch (type) {
+            case "delay":
+                // Act later in this pass at a lower score
+                score = parseInt(score) || 0;
+                if (!isCurrent || score < 1 || score >= currentInit) return;
+
+                combatant.delayedTo = { phase: this.currentPhase, score: score };
+                announcement = `<strong>${combatant.name}</strong> delays their action to initiative ${score}.`;
+                break;
+
+            case "hold":
+                // Step out of the turn order until the held action is triggered
+                if (!isCurrent) return;
+
+                combatant.holding = true;
+                announcement = `<strong>${combatant.name}</strong> holds their action.`;
+                break;
+
+            case "act-now": {
+                if (!combatant.holding) return;
+
+                combatant.holding = false;
+                combatant.delayedTo = {
+                    phase: this.currentPhase,
+                    score: actingCombatant ? this.getCurrentInitiative(actingCombatant) : 1,
+                    interrupt: true
+                };
+                announcement = actingCombatant
+                    ? `<strong>${combatant.name}</strong> acts on their held action, interrupting ${actingCombatant.name}.`
+                    : `<strong>${combatant.name}</strong> acts on their held action.`;
+                break;
+            }
+
+            case "spend": {
+                amount = parseInt(amount) || 0;
+                if (amount < 1 || !combatant.hasRolled) return;
+
+                // A combatant who already acted this pass pays from their next pass
+                const activeIndex = activeCombatants.findIndex(c => c.id === combatant.id);
+                const hasActed = activeIndex === -1 || activeIndex < this.currentTurn;
+                const fromIndex = this.currentPhase - (hasActed ? 0 : 1);
+
+                const phases = combatant.actionPhases?.length
+                    ? combatant.actionPhases
+                    : this._calculateActionPhases(combatant.initiative);
+                combatant.actionPhases = phases.map((phaseScore, index) => index >= fromIndex ? Math.max(0, phaseScore - amount) : phaseScore);
+
+                if (!hasActed && combatant.delayedTo?.phase === this.currentPhase) {
+                    combatant.delayedTo.score = Math.max(0, combatant.delayedTo.score - amount);
+                }
+
+                const remaining = combatant.actionPhases.slice(fromIndex).filter(phaseScore => phaseScore > 0);
+                announcement = `<strong>${combatant.name}</strong> spends ${amount} initiative${reason ? ` on ${reason}` : ''}. `
+                    + (remaining.length > 0 ? `Remaining actions: ${remaining.join(', ')}.` : `No actions remain this Combat Turn.`);
+                break;
+            }
+
+            default:
+                return;
+        }
+
+        // Keep the turn on the acting combatant, or hand it to the interrupter
+        const focusId = type === "act-now" ? combatant.id : (isCurrent ? null : actingCombatant?.id);
+        if (focusId) {
+            const index = this._getActiveCombatantsForPhase().findIndex(c => c.id === focusId);
+            if (index !== -1) this.currentTurn = index;
+        }
+
+        ChatMessage.create({
+            content: `<div class="turn-announcement">
+        <h3>Phase ${this.currentPhase}</h3>
+        <p>${announcement}</p>
+      </div>`,
+            speaker: { alias: "Initiative Tracker" }
+        });
+
+        // Announce whoever acts now that the order has changed
+        if (type !== "spend") {
+            this._announceCurrentTurn();
+        }
+    }
+
+    /**
+     * Check whether a combatant is interrupting with a held action this pass
+     */
+    _isInterrupting(combatant) {
+        return !!combatant.delayedTo?.interrupt && combatant.delayedTo.phase === this.currentPhase;
+    }
+
+    /**
+     * Check whether a user may roll for and edit a combatant
+     */
+    _canControl(combatant, user = game.user) {
+        if (user.isGM) return true;
+
+        const actor = this._getCombatantActor(combatant);
+        return !!actor?.testUserPermission(user, "OWNER");
+    }
+
     /**
      * Add a combatant to the tracker
      */
@@ -113,16 +381,24 @@ export class SR2InitiativeTracker extends Application {
             return;
         }
 
+        const added = [];
         for (const token of controlled) {
             const actor = token.actor;
             if (!actor) continue;
 
+            // Players can only add their own tokens
+            if (!actor.isOwner) {
+                ui.notifications.warn(`You don't own ${actor.name}.`);
+                continue;
+            }
+
             // Check if already in tracker
             if (this.combatants.find(c => c.tokenId === token.id)) {
                 ui.notifications.warn(`${actor.name} is already in the initiative tracker.`);
                 continue;
             }
 
+            const mode = this._getInitiativeMode(actor);
             const combatant = {
                 id: foundry.utils.randomID(),
                 tokenId: token.id,
@@ -130,16 +406,19 @@ export class SR2InitiativeTracker extends Application {
                 name: actor.name,
                 img: actor.img,
                 initiative: 0,
-                initiativeDice: this._getInitiativeDice(actor),
-                reaction: this._getReaction(actor),
+                mode: mode,
+                initiativeDice: this._getInitiativeDice(actor, mode),
+                reaction: this._getReaction(actor, mode),
                 hasRolled: false,
                 isNPC: this._isNPC(actor)
             };
 
-            this.combatants.push(combatant);
+            added.push(combatant);
         }
 
-        this.render();
+        if (added.length > 0) {
+            await this.updateCombatants(added);
+        }
     }
 
     /**
@@ -207,6 +486,7 @@ export class SR2InitiativeTracker extends Application {
                                 continue;
                             }
 
+                            const mode = this._getInitiativeMode(actor);
                             const combatant = {
                                 id: foundry.utils.randomID(),
                                 tokenId: null, // NPCs might not have tokens
@@ -214,8 +494,9 @@ export class SR2InitiativeTracker extends Application {
                                 name: actor.name,
                                 img: actor.img,
                                 initiative: 0,
-                                initiativeDice: this._getInitiativeDice(actor),
-                                reaction: this._getReaction(actor),
+                                mode: mode,
+                                initiativeDice: this._getInitiativeDice(actor, mode),
+                                reaction: this._getReaction(actor, mode),
                                 hasRolled: false,
                                 isNPC: true
                             };
@@ -223,7 +504,7 @@ export class SR2InitiativeTracker extends Application {
                             this.combatants.push(combatant);
                         }
 
-                        this.render();
+                        await this._saveState();
                         ui.notifications.info(`Added ${selectedNPCs.length} NPC(s) to initiative tracker.`);
                     }
                 },
@@ -260,7 +541,7 @@ export class SR2InitiativeTracker extends Application {
             await this._rollInitiativeForCombatant(combatant);
         }
 
-        this.render();
+        await this._saveState();
         ui.notifications.info(`Rolled initiative for ${npcCombatants.length} NPC(s).`);
     }
 
@@ -336,7 +617,7 @@ export class SR2InitiativeTracker extends Application {
                             combatant.actionPhases = this._calculateActionPhases(newCurrentInit);
                         }
 
-                        this.render();
+                        await this._saveState();
                         ui.notifications.info(`${newName} stats updated successfully.`);
                     }
                 },
@@ -378,7 +659,7 @@ export class SR2InitiativeTracker extends Application {
     /**
      * Remove a combatant from the tracker
      */
-    _onRemoveCombatant(event) {
+    async _onRemoveCombatant(event) {
         event.preventDefault();
         const combatantId = event.currentTarget.dataset.combatantId;
         const combatant = this.combatants.find(c => c.id === combatantId);
@@ -391,24 +672,22 @@ export class SR2InitiativeTracker extends Application {
             return;
         }
 
+        if (!this._canControl(combatant)) {
+            ui.notifications.warn(`You can only remove your own combatants.`);
+            return;
+        }
+
         // Confirm removal for NPCs
         if (combatant.isNPC) {
             const confirmed = confirm(`Remove ${combatant.name} from combat?`);
             if (!confirmed) return;
         }
 
-        this.combatants = this.combatants.filter(c => c.id !== combatantId);
-
-        // Adjust current turn if necessary
-        if (this.currentTurn >= this.combatants.length) {
-            this.currentTurn = 0;
-        }
+        await this.removeCombatant(combatantId);
 
         // Show notification
         const actorType = combatant.isNPC ? "NPC" : "PC";
         ui.notifications.info(`${combatant.name} (${actorType}) removed from initiative tracker.`);
-
-        this.render();
     }
 
     /**
@@ -421,8 +700,15 @@ export class SR2InitiativeTracker extends Application {
 
         if (!combatant) return;
 
-        await this._rollInitiativeForCombatant(combatant);
-        this.render();
+        if (!this._canControl(combatant)) {
+            ui.notifications.warn(`You can only roll initiative for your own combatants.`);
+            return;
+        }
+
+        // Roll on a copy; the GM applies the result to the shared tracker
+        const updated = foundry.utils.deepClone(combatant);
+        await this._rollInitiativeForCombatant(updated);
+        await this.updateCombatants([updated]);
     }
 
     /**
@@ -431,21 +717,31 @@ export class SR2InitiativeTracker extends Application {
     async _onRollAllInitiative(event) {
         event.preventDefault();
 
+        const updated = [];
         for (const combatant of this.combatants) {
-            if (!combatant.hasRolled) {
-                await this._rollInitiativeForCombatant(combatant);
+            if (!combatant.hasRolled && this._canControl(combatant)) {
+                const copy = foundry.utils.deepClone(combatant);
+                await this._rollInitiativeForCombatant(copy);
+                updated.push(copy);
             }
         }
 
-        this.render();
+        if (updated.length > 0) {
+            await this.updateCombatants(updated);
+        }
     }
 
     /**
      * Start combat
      */
-    _onStartCombat(event) {
+    async _onStartCombat(event) {
         event.preventDefault();
 
+        if (!game.user.isGM) {
+            ui.notifications.warn("Only GMs can start combat.");
+            return;
+        }
+
         if (this.combatants.length === 0) {
             ui.notifications.warn("No combatants in initiative tracker.");
             return;
@@ -461,17 +757,25 @@ export class SR2InitiativeTracker extends Application {
         this.isActive = true;
         this.currentPhase = 1;
         this.currentTurn = 0;
+        this.round = 1;
+
+        await this._refreshCombatantPools();
 
         this._announceCurrentTurn();
-        this.render();
+        await this._saveState();
     }
 
     /**
      * Advance to next turn
      */
-    _onNextTurn(event) {
+    async _onNextTurn(event) {
         event.preventDefault();
 
+        if (!game.user.isGM) {
+            ui.notifications.warn("Only GMs can advance the initiative tracker.");
+            return;
+        }
+
         if (!this.isActive) return;
 
         this.currentTurn++;
@@ -479,26 +783,37 @@ export class SR2InitiativeTracker extends Application {
         // Check if we need to move to next phase
         const activeCombatants = this._getActiveCombatantsForPhase();
         if (this.currentTurn >= activeCombatants.length) {
-            this._onNextPhase();
+            await this._onNextPhase();
             return;
         }
 
         this._announceCurrentTurn();
-        this.render();
+        await this._saveState();
     }
 
     /**
      * Advance to next phase
      * Updated to handle SR2 phase system properly
      */
-    _onNextPhase(event = null) {
+    async _onNextPhase(event = null) {
         if (event) event.preventDefault();
 
+        if (!game.user.isGM) {
+            ui.notifications.warn("Only GMs can advance the initiative tracker.");
+            return;
+        }
+
         if (!this.isActive) return;
 
         this.currentPhase++;
         this.currentTurn = 0;
 
+        // Delayed and held actions don't carry over into the next pass
+        this.combatants.forEach(c => {
+            delete c.delayedTo;
+            c.holding = false;
+        });
+
         // Check if any combatants are still active in this phase
         const activeCombatants = this._getActiveCombatantsForPhase();
         if (activeCombatants.length === 0) {
@@ -508,10 +823,19 @@ export class SR2InitiativeTracker extends Application {
             if (this.currentPhase > maxPhases) {
                 // Start new round
                 this.currentPhase = 1;
+                this.round++;
+
+                // Initiative spent on interrupts only lasts for the Combat Turn
+                this.combatants.forEach(c => {
+                    if (c.hasRolled) c.actionPhases = this._calculateActionPhases(c.initiative);
+                });
                 ChatMessage.create({
-                    content: "<h3>New Combat Round</h3><p>All combatants have completed their actions. Starting new round.</p>",
+                    content: `<h3>New Combat Round</h3><p>All combatants have completed their actions. Starting Combat Turn ${this.round}.</p>`,
                     speaker: { alias: "Initiative Tracker" }
                 });
+
+                // Pools refresh at the start of every Combat Turn
+                await this._refreshCombatantPools();
             } else {
                 // Continue to next phase even if no one acts (for proper phase tracking)
                 ChatMessage.create({
@@ -522,7 +846,7 @@ export class SR2InitiativeTracker extends Application {
         }
 
         this._announceCurrentTurn();
-        this.render();
+        await this._saveState();
     }
 
     /**
@@ -539,44 +863,175 @@ export class SR2InitiativeTracker extends Application {
     /**
      * Reset combat
      */
-    _onResetCombat(event) {
+    async _onResetCombat(event) {
         event.preventDefault();
 
+        if (!game.user.isGM) {
+            ui.notifications.warn("Only GMs can reset combat.");
+            return;
+        }
+
         this.isActive = false;
         this.currentPhase = 1;
         this.currentTurn = 0;
+        this.round = 0;
 
         // Reset all initiative rolls
         this.combatants.forEach(c => {
             c.initiative = 0;
             c.hasRolled = false;
+            c.holding = false;
+            delete c.delayedTo;
         });
 
-        this.render();
+        await this._saveState();
     }
 
     /**
      * Edit initiative value
      */
-    _onEditInitiative(event) {
+    async _onEditInitiative(event) {
         event.preventDefault();
         const combatantId = event.currentTarget.dataset.combatantId;
         const newValue = parseInt(event.currentTarget.value) || 0;
 
         const combatant = this.combatants.find(c => c.id === combatantId);
-        if (combatant) {
-            combatant.initiative = newValue;
-            combatant.hasRolled = true;
+        if (!combatant) return;
+
+        if (!this._canControl(combatant)) {
+            ui.notifications.warn(`You can only edit your own combatants' initiative.`);
+            this.render();
+            return;
+        }
+
+        await this.updateCombatants([{
+            id: combatant.id,
+            initiative: newValue,
+            actionPhases: this._calculateActionPhases(newValue),
+            hasRolled: true
+        }]);
+    }
+
+    /**
+     * Handle the delay, hold, act now and spend initiative buttons
+     */
+    async _onCombatantAction(event) {
+        event.preventDefault();
+        const { combatantId, action } = event.currentTarget.dataset;
+        const combatant = this.combatants.find(c => c.id === combatantId);
+        if (!combatant) return;
+
+        if (!this._canControl(combatant)) {
+            ui.notifications.warn(`You can only act for your own combatants.`);
+            return;
+        }
+
+        const data = { combatantId: combatantId, type: action };
+        if (action === "delay" || action === "spend") {
+            const options = await this._promptCombatantAction(combatant, action);
+            if (!options) return;
+            Object.assign(data, options);
+        }
+
+        await this._requestChange("combatantAction", data);
+    }
+
+    /**
+     * Ask for the score to delay to, or the initiative to spend and why
+     * Resolves to the chosen options, or null if the dialog was cancelled.
+     */
+    _promptCombatantAction(combatant, action) {
+        const currentInit = this.getCurrentInitiative(combatant);
+        const content = action === "delay"
+            ? `
+                <div class="combatant-action-dialog">
+                    <p>${combatant.name} is acting on initiative ${currentInit}.</p>
+                    <div class="form-group">
+                        <label for="delay-score">Delay to Initiative:</label>
+                        <input type="number" id="delay-score" value="${Math.max(1, currentInit - 1)}" min="1" max="${Math.max(1, currentInit - 1)}">
+                    </div>
+                </div>
+            `
+            : `
+                <div class="combatant-action-dialog">
+                    <p>${combatant.name} is on initiative ${currentInit}.</p>
+                    <div class="form-group">
+                        <label for="spend-amount">Initiative to Spend:</label>
+                        <input type="number" id="spend-amount" value="5" min="1">
+                    </div>
+                    <div class="form-group">
+                        <label for="spend-reason">Action:</label>
+                        <input type="text" id="spend-reason" value="Dodge">
+                    </div>
+                </div>
+            `;
+
+        return new Promise(resolve => {
+            new Dialog({
+                title: action === "delay" ? `${combatant.name} - Delay Action` : `${combatant.name} - Spend Initiative`,
+                content: content,
+                buttons: {
+                    confirm: {
+                        icon: action === "delay" ? '<i class="fas fa-hourglass-half"></i>' : '<i class="fas fa-running"></i>',
+                        label: action === "delay" ? "Delay" : "Spend",
+                        callback: html => resolve(action === "delay"
+                            ? { score: parseInt(html.find('#delay-score').val()) || 0 }
+                            : {
+                                amount: parseInt(html.find('#spend-amount').val()) || 0,
+                                reason: html.find('#spend-reason').val().trim()
+                            })
+                    },
+                    cancel: {
+                        icon: '<i class="fas fa-times"></i>',
+                        label: "Cancel",
+                        callback: () => resolve(null)
+                    }
+                },
+                default: "confirm",
+                close: () => resolve(null)
+            }).render(true);
+        });
+    }
+
+    /**
+     * Switch a combatant between physical, astral, Matrix and rigging initiative
+     */
+    async _onChangeMode(event) {
+        event.preventDefault();
+        const combatantId = event.currentTarget.dataset.combatantId;
+        const mode = event.currentTarget.value;
+
+        const combatant = this.combatants.find(c => c.id === combatantId);
+        if (!combatant || !INITIATIVE_MODES[mode]) return;
+
+        if (!this._canControl(combatant)) {
+            ui.notifications.warn(`You can only change your own combatants' initiative mode.`);
             this.render();
+            return;
         }
+
+        const actor = this._getCombatantActor(combatant);
+        if (!actor) return;
+
+        await this.updateCombatants([{
+            id: combatant.id,
+            mode: mode,
+            initiativeDice: this._getInitiativeDice(actor, mode),
+            reaction: this._getReaction(actor, mode)
+        }]);
     }
 
     /**
      * Roll initiative for a specific combatant
      */
     async _rollInitiativeForCombatant(combatant) {
-        const diceRoll = await new Roll(`${combatant.initiativeDice}d6`).evaluate();
-        const total = diceRoll.total + combatant.reaction;
+        // Wound modifiers reduce the initiative result (NPCs without an actor take none)
+        const actor = this._getCombatantActor(combatant);
+        const woundPenalty = actor?.getWoundModifiers ? actor.getWoundModifiers().initiative : 0;
+
+        const roll = SR2InitiativeRoll.create(combatant.initiativeDice, combatant.reaction, woundPenalty);
+        await roll.evaluate();
+        const total = roll.score;
 
         combatant.initiative = total;
         combatant.actionPhases = this._calculateActionPhases(total);
@@ -586,26 +1041,91 @@ export class SR2InitiativeTracker extends Application {
         const chatData = {
             user: game.user.id,
             content: `<div class="initiative-roll">
-        <h3>${combatant.name} rolls Initiative</h3>
+        <h3>${combatant.name} rolls Initiative${combatant.mode && combatant.mode !== 'normal' ? ` (${INITIATIVE_MODES[combatant.mode]?.label})` : ''}</h3>
         <div class="roll-result">
-          <span class="dice-result">${diceRoll.total}</span> + 
-          <span class="reaction-bonus">${combatant.reaction}</span> = 
+          <span class="dice-result">${roll.diceTotal}</span> + 
+          <span class="reaction-bonus">${combatant.reaction}</span>${woundPenalty > 0 ? ` - 
+          <span class="wound-penalty">${woundPenalty}</span>` : ''} = 
           <span class="total-initiative">${total}</span>
         </div>
         <div class="roll-details">
-          ${combatant.initiativeDice}d6 + Reaction (${combatant.reaction})
+          ${combatant.initiativeDice}d6 + Reaction (${combatant.reaction})${woundPenalty > 0 ? ` - Wounds (${woundPenalty})` : ''}
         </div>
       </div>`,
             speaker: { alias: "Initiative Tracker" }
         };
 
-        ChatMessage.create(chatData);
+        await roll.toMessage(chatData, { rollMode: game.settings.get('core', 'rollMode') });
+    }
+
+    /**
+     * Get the actor behind a combatant, preferring the token's own actor
+     */
+    _getCombatantActor(combatant) {
+        const token = combatant.tokenId ? canvas.tokens?.get(combatant.tokenId) : null;
+        return token?.actor || (combatant.actorId ? game.actors.get(combatant.actorId) : null);
+    }
+
+    /**
+     * Refresh the dice pools of every combatant at the start of a Combat Turn
+     * Posts a summary of the refreshed pools and the spending from the last turn
+     */
+    async _refreshCombatantPools() {
+        const summaries = [];
+        const refreshedActors = new Set();
+
+        for (const combatant of this.combatants) {
+            const actor = this._getCombatantActor(combatant);
+            if (!actor?.refreshPools || !actor.isOwner || refreshedActors.has(actor.uuid)) continue;
+            refreshedActors.add(actor.uuid);
+
+            try {
+                const result = await actor.refreshPools();
+                if (result) summaries.push({ name: combatant.name, ...result });
+            } catch (error) {
+                console.error(`SR2E | Failed to refresh pools for ${combatant.name}:`, error);
+            }
+        }
+
+        if (summaries.length === 0) return;
+
+        const formatPool = key => key.charAt(0).toUpperCase() + key.slice(1);
+        const rows = summaries.map(summary => {
+            const pools = Object.entries(summary.refreshed)
+                .filter(([, dice]) => dice > 0)
+                .map(([key, dice]) => `${formatPool(key)} ${dice}`)
+                .join(', ') || 'No pools';
+            const spent = summary.spent
+                .map(entry => `${formatPool(entry.pool)} ${entry.dice}${entry.reason ? ` (${entry.reason})` : ''}`)
+                .join('; ');
+            return `<li><strong>${summary.name}:</strong> ${pools}${spent ? `<br><small>Spent last turn: ${spent}</small>` : ''}</li>`;
+        }).join('');
+
+        ChatMessage.create({
+            content: `<div class="pool-refresh">
+        <h3>Combat Turn ${this.round}: Pools Refreshed</h3>
+        <ul>${rows}</ul>
+      </div>`,
+            speaker: { alias: "Initiative Tracker" }
+        });
+    }
+
+    /**
+     * Get the initiative mode an actor is set to use
+     */
+    _getInitiativeMode(actor) {
+        return actor.system.initiative?.mode || 'normal';
     }
 
     /**
      * Get initiative dice for an actor (base 1 + cyberware bonuses)
+     * Astral, Matrix and rigging modes use the actor's own initiative for that mode
      */
-    _getInitiativeDice(actor) {
+    _getInitiativeDice(actor, mode = 'normal') {
+        if (mode !== 'normal' && actor.getInitiative) {
+            return actor.getInitiative(mode).dice;
+        }
+
         let dice = 1; // Base initiative dice
 
         // Check for cyberware that adds initiative dice
@@ -621,8 +1141,13 @@ export class SR2InitiativeTracker extends Application {
 
     /**
      * Get reaction score for an actor
+     * Astral, Matrix and rigging modes use the actor's own initiative for that mode
      */
-    _getReaction(actor) {
+    _getReaction(actor, mode = 'normal') {
+        if (mode !== 'normal' && actor.getInitiative) {
+            return actor.getInitiative(mode).reaction;
+        }
+
         let reaction = actor.system.attributes?.reaction?.value || 0;
 
         // Check for cyberware that adds reaction
@@ -674,6 +1199,14 @@ export class SR2InitiativeTracker extends Application {
      */
     getCurrentInitiative(combatant) {
         if (!combatant.hasRolled) return 0;
+
+        // Held actions wait outside the turn order until they're triggered
+        if (combatant.holding) return 0;
+
+        // A delayed action acts at the chosen lower score for this pass
+        if (combatant.delayedTo && combatant.delayedTo.phase === this.currentPhase) {
+            return combatant.delayedTo.score;
+        }
         
         // If combatant has action phases array (new system), use it
         if (combatant.actionPhases && Array.isArray(combatant.actionPhases)) {
@@ -700,7 +1233,8 @@ export class SR2InitiativeTracker extends Application {
                 const currentInit = this.getCurrentInitiative(c);
                 return currentInit > 0;
             })
-            .sort((a, b) => this.getCurrentInitiative(b) - this.getCurrentInitiative(a));
+            .sort((a, b) => (this.getCurrentInitiative(b) - this.getCurrentInitiative(a))
+                || (this._isInterrupting(b) - this._isInterrupting(a)));
     }
 
     /**
@@ -795,7 +1329,7 @@ export class SR2InitiativeTracker extends Application {
                     const combatant = this.combatants.find(c => c.id === combatantId);
                     if (combatant && confirm(`Remove ${combatant.name} from combat?`)) {
                         this.combatants = this.combatants.filter(c => c.id !== combatantId);
-                        this.render();
+                        this._saveState();
                         ui.notifications.info(`${combatant.name} removed from combat.`);
                         // Update the dialog
                         dialog.close();
@@ -807,7 +1341,7 @@ export class SR2InitiativeTracker extends Application {
                 html.find('.remove-all-npcs').click(() => {
                     if (confirm(`Remove all ${npcCombatants.length} NPCs from combat?`)) {
                         this.combatants = this.combatants.filter(c => !c.isNPC);
-                        this.render();
+                        this._saveState();
                         ui.notifications.info(`All NPCs removed from combat.`);
                         dialog.close();
                     }
@@ -819,7 +1353,7 @@ export class SR2InitiativeTracker extends Application {
                         for (const npc of npcCombatants) {
                             await this._rollInitiativeForCombatant(npc);
                         }
-                        this.render();
+                        await this._saveState();
                         ui.notifications.info(`Initiative rerolled for all NPCs.`);
                         dialog.close();
                     }
@@ -872,8 +1406,17 @@ export class SR2InitiativeTracker extends Application {
     }
 }
 
-// Global instance
-let initiativeTracker = null;
+/**
+ * Get the shared initiative tracker, loading the saved state the first time
+ */
+export function getInitiativeTracker() {
+    game.shadowrun2e = game.shadowrun2e || {};
+    if (!game.shadowrun2e.initiativeTracker) {
+        game.shadowrun2e.initiativeTracker = new SR2InitiativeTracker();
+        game.shadowrun2e.initiativeTracker.loadState(game.settings.get("shadowrun2e", "initiativeTracker"));
+    }
+    return game.shadowrun2e.initiativeTracker;
+}
 
 /**
  * Initialize the initiative tracker
@@ -918,12 +1461,7 @@ export function initializeInitiativeTracker() {
                 title: "Initiative Tracker",
                 icon: "fas fa-stopwatch",
                 button: true,
-                onClick: () => {
-                    if (!initiativeTracker) {
-                        initiativeTracker = new SR2InitiativeTracker();
-                    }
-                    initiativeTracker.render(true);
-                }
+                onClick: () => getInitiativeTracker().render(true)
             });
         }
     });
@@ -934,10 +1472,19 @@ export function initializeInitiativeTracker() {
         hint: "Opens the Shadowrun 2E Initiative Tracker",
         editable: [{ key: "KeyI", modifiers: ["Control"] }],
         onDown: () => {
-            if (!initiativeTracker) {
-                initiativeTracker = new SR2InitiativeTracker();
-            }
-            initiativeTracker.render(true);
+            getInitiativeTracker().render(true);
         }
     });
+
+    // Keep every client's tracker in sync with the GM's saved state
+    Hooks.once("ready", () => {
+        const tracker = getInitiativeTracker();
+        game.socket.on("system.shadowrun2e", data => {
+            if (data?.type === "initiativeTrackerState") {
+                tracker.loadState(data.state);
+            } else if (data?.type === "initiativeTrackerChange") {
+                tracker._onChangeRequest(data);
+            }
+        });
+    });
 }
\ No newline at end of file
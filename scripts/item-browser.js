@@ -1,3 +1,5 @@
+import { isAreaSpellName, parseAmmunition } from "./item/item.js";
+
 /**
  * Item Browser for Shadowrun 2E
  * Allows browsing and adding items from JSON data files
@@ -204,7 +206,7 @@ export class SR2ItemBrowser extends Application {
         name: spell.Name.trim(),
         category: spell.Class,
         drain: spell.Drain,
-        type: spell.Type,
+        spellType: spell.Type,
         duration: spell.Duration,
         bookPage: spell.BookPage,
         type: 'spell'
@@ -400,9 +402,10 @@ export class SR2ItemBrowser extends Application {
         return {
           ...baseData,
           drain: itemData.drain,
-          type: itemData.type,
+          type: itemData.spellType,
           duration: itemData.duration,
           class: itemData.category,
+          area: isAreaSpellName(itemData.name),
           force: 1
         };
         
@@ -450,11 +453,7 @@ export class SR2ItemBrowser extends Application {
           damage: itemData.damage || "1L",
           reach: parseInt(itemData.reach) || 0,
           mode: itemData.mode || "SS",
-          ammo: {
-            current: 0,
-            max: parseInt(itemData.ammo) || 0,
-            type: ""
-          },
+          ammo: parseAmmunition(itemData.ammo),
           recoil: parseInt(itemData.recoil) || 0,
           rangeType: this._determineRangeType(itemData.name, itemData.category),
           equipped: false,
@@ -579,7 +578,7 @@ export class SR2ItemBrowser extends Application {
             damage: item.Damage || "",
             reach: item.Reach || "",
             mode: item.Mode || "",
-            ammo: item.Ammo || "",
+            ammo: item.Ammunition || item.Ammo || "",
             recoil: item.Recoil || "",
             weight: item.Weight || "",
             availability: item.Availability || "",
@@ -1,3 +1,9 @@
+import { loadRangesData, resolveRangeType } from "../target-modifiers.js";
+import { getDamageCodeError, getDrainCodeError } from "../damage.js";
+import { AREA_DELIVERIES } from "../area-attack.js";
+import { SPELL_CATEGORIES, SPELL_DURATIONS, SPELL_TYPES } from "./item.js";
+import { SPIRIT_POWER_MODES } from "../spirits.js";
+
 /**
  * Extend the basic ItemSheet with Shadowrun 2E specific functionality
  */
@@ -38,6 +44,30 @@ export class SR2ItemSheet extends foundry.applications.sheets.ItemSheet {
     context.system = itemData.system;
     context.flags = itemData.flags;
 
+    // Range types come from the weapon range table
+    if (itemData.type === 'weapon') {
+      const ranges = await loadRangesData() || {};
+      context.rangeTypes = Object.entries(ranges).map(([key, range]) => ({ key, label: range.name, ...range }));
+      context.system.rangeType = resolveRangeType(itemData.system.rangeType);
+      context.damageError = getDamageCodeError(itemData.system.damage);
+      context.areaDeliveries = AREA_DELIVERIES;
+    }
+
+    // Imported spells store class codes such as "C" and "P"; show them as the matching option
+    if (itemData.type === 'spell') {
+      context.drainError = getDrainCodeError(itemData.system.drain);
+      context.spellCategories = SPELL_CATEGORIES;
+      context.spellTypes = SPELL_TYPES;
+      context.spellDurations = SPELL_DURATIONS;
+      context.system.category = this.item.getSpellCategory().key;
+      context.system.type = this.item.getSpellType().key;
+      context.system.duration = this.item.getSpellDuration().key;
+    }
+
+    if (itemData.type === 'spiritpower') {
+      context.spiritPowerModes = SPIRIT_POWER_MODES;
+    }
+
     return context;
   }
 
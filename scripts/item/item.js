@@ -1,3 +1,88 @@
+import { DAMAGE_LEVELS, parseDamageCode, parseDrainCode } from "../damage.js";
+
+/**
+ * Firing modes and the rounds each one fires per attack
+ * Full auto fires a declared number of rounds, up to maxRounds.
+ */
+export const FIRING_MODES = {
+  SS: { label: "Single Shot", rounds: 1 },
+  SA: { label: "Semi-Automatic", rounds: 1 },
+  BF: { label: "Burst Fire", rounds: 3 },
+  FA: { label: "Full Auto", rounds: 3, maxRounds: 10 }
+};
+
+/**
+ * Ammunition feeds, keyed by the code in a weapon's ammo listing (e.g. 30(c))
+ * Clips, magazines and belts are swapped out whole; cylinders and internal
+ * magazines are loaded a round at a time.
+ */
+export const AMMO_TYPES = {
+  c: { label: "Clip", swap: true },
+  m: { label: "Magazine", swap: true },
+  b: { label: "Belt", swap: true },
+  cy: { label: "Cylinder", swap: false },
+  "": { label: "Internal", swap: false }
+};
+
+/**
+ * Spell categories, keyed as stored on the item, with the class code used in spells.json
+ * Resisted categories are opposed by the target when cast at a living being;
+ * health spells work on willing subjects and are not resisted.
+ */
+export const SPELL_CATEGORIES = {
+  combat: { label: "Combat", code: "C", resisted: true },
+  detection: { label: "Detection", code: "D", resisted: true },
+  health: { label: "Health", code: "H", resisted: false },
+  illusion: { label: "Illusion", code: "I", resisted: true },
+  manipulation: { label: "Manipulation", code: "M", resisted: true }
+};
+
+/**
+ * Spell types and the attribute a target resists them with
+ */
+export const SPELL_TYPES = {
+  mana: { label: "Mana", code: "M", resistAttribute: "willpower" },
+  physical: { label: "Physical", code: "P", resistAttribute: "body" }
+};
+
+/**
+ * Spell durations with the code used in spells.json
+ */
+export const SPELL_DURATIONS = {
+  instant: { label: "Instant", code: "I" },
+  sustained: { label: "Sustained", code: "S" },
+  permanent: { label: "Permanent", code: "P" }
+};
+
+/**
+ * Names of the area combat spells in spells.json, e.g. Manaball, Stun Cloud or Hellblast
+ */
+const AREA_SPELL_PATTERN = /(ball|cloud|blast)$|^(inferno|sleep|toxic wave)$/i;
+
+/**
+ * Check whether a spell name from the data files is an area spell
+ */
+export function isAreaSpellName(name) {
+  return AREA_SPELL_PATTERN.test(String(name ?? '').trim());
+}
+
+/**
+ * Read an ammunition listing from the data files, e.g. "30(c)", "6(cy)" or "1"
+ * Returns a full load of the listed capacity and feed.
+ */
+export function parseAmmunition(listing) {
+  const text = String(listing ?? '');
+  const capacity = text.replace(/\([^)]*\)/g, '').match(/\d+/);
+  const feed = text.match(/\((cy|c|m|b|belt)\b/i)?.[1].toLowerCase() || '';
+  const max = capacity ? Number(capacity[0]) : 0;
+
+  return {
+    current: max,
+    max: max,
+    type: feed === 'belt' ? 'b' : feed
+  };
+}
+
 /**
  * Extend the basic Item with Shadowrun 2E specific functionality
  */
@@ -73,6 +158,169 @@ export class SR2Item extends Item {
     }
   }
 
+  /**
+   * Get the parsed damage code for a weapon
+   * Strength based codes use the owning actor's Strength
+   */
+  getDamageCode() {
+    if (this.type !== 'weapon') return null;
+
+    const strength = this.actor?.getModifiedAttribute('strength') || 0;
+    return parseDamageCode(this.system.damage, { strength });
+  }
+
+  /**
+   * Get the firing modes a weapon supports, e.g. "SA/BF/FA"
+   */
+  getFiringModes() {
+    if (this.type !== 'weapon') return [];
+
+    const modes = String(this.system.mode || '')
+      .toUpperCase()
+      .split(/[^A-Z]+/)
+      .filter(mode => FIRING_MODES[mode]);
+    return modes.length > 0 ? [...new Set(modes)] : ['SS'];
+  }
+
+  /**
+   * Get the uncompensated recoil modifier for an attack
+   * Every round already fired this Combat Phase adds +1, as does every round of
+   * the attack after the first (every round for bursts and full auto).
+   * Recoil compensation cancels the modifier point for point.
+   */
+  getRecoilModifier(mode, rounds, roundsFired = 0) {
+    if (mode === 'SS') return 0;
+
+    const burst = mode === 'BF' || mode === 'FA';
+    const recoil = roundsFired + (burst ? rounds : rounds - 1);
+    return Math.max(0, recoil - (Number(this.system.recoil) || 0));
+  }
+
+  /**
+   * Get the ammunition feed of a weapon
+   */
+  getAmmoType() {
+    const key = String(this.system.ammo?.type || '').toLowerCase();
+    return { key: AMMO_TYPES[key] ? key : '', ...(AMMO_TYPES[key] || AMMO_TYPES['']) };
+  }
+
+  /**
+   * Check whether a weapon is a grenade, launched grenade or rocket with a blast
+   */
+  get isAreaWeapon() {
+    return this.type === 'weapon' && !!this.system.area?.delivery;
+  }
+
+  /**
+   * Get the Power an area weapon loses per meter from the point of impact
+   * An explicit blast rating wins over the falloff in the damage code, e.g. "(-1/m)".
+   */
+  getBlastRate() {
+    return Number(this.system.area?.blast) || this.getDamageCode()?.blast || 1;
+  }
+
+  /**
+   * Check whether a weapon keeps track of its ammunition
+   */
+  get usesAmmo() {
+    return this.type === 'weapon' && this.system.weaponType === 'ranged' && (this.system.ammo?.max || 0) > 0;
+  }
+
+  /**
+   * Reload a weapon
+   * Clips, magazines and belts are replaced with a full one; cylinders and
+   * internal magazines take the given number of rounds, up to capacity.
+   * Returns the number of rounds loaded.
+   */
+  async reload(rounds = null) {
+    if (!this.usesAmmo) return 0;
+
+    const { current = 0, max = 0 } = this.system.ammo;
+    const ammoType = this.getAmmoType();
+    const space = max - current;
+    const loaded = ammoType.swap ? max : Math.min(space, rounds ?? space);
+    if (loaded <= 0) return 0;
+
+    await this.update({ 'system.ammo.current': ammoType.swap ? max : current + loaded });
+    return loaded;
+  }
+
+  /**
+   * Get the category of a spell
+   * Accepts the stored key, the spells.json class code (e.g. "C") or its label.
+   */
+  getSpellCategory() {
+    const value = String(this.system.category || this.system.class || '').trim().toLowerCase();
+    const key = Object.keys(SPELL_CATEGORIES).find(key => key === value || SPELL_CATEGORIES[key].code.toLowerCase() === value);
+    return { key: key || 'combat', ...SPELL_CATEGORIES[key || 'combat'] };
+  }
+
+  /**
+   * Get the type of a spell, mana or physical, from the key or its code (e.g. "P")
+   */
+  getSpellType() {
+    const value = String(this.system.type || '').trim().toLowerCase();
+    const key = Object.keys(SPELL_TYPES).find(key => key === value || SPELL_TYPES[key].code.toLowerCase() === value);
+    return { key: key || 'mana', ...SPELL_TYPES[key || 'mana'] };
+  }
+
+  /**
+   * Get the duration of a spell from the key or its code (e.g. "S")
+   */
+  getSpellDuration() {
+    const value = String(this.system.duration || '').trim().toLowerCase();
+    const key = Object.keys(SPELL_DURATIONS).find(key => key === value || SPELL_DURATIONS[key].code.toLowerCase() === value);
+    return { key: key || 'instant', ...SPELL_DURATIONS[key || 'instant'] };
+  }
+
+  /**
+   * Check whether a spell affects everyone within its Force in meters
+   */
+  get isAreaSpell() {
+    return this.type === 'spell' && !!this.system.area;
+  }
+
+  /**
+   * Get the damage a combat spell is cast for
+   * The damage field holds the level chosen by the caster, e.g. "M" or "S Stun";
+   * spells named for stun (Stunbolt, Stunball) always do Stun damage.
+   */
+  getSpellDamage() {
+    const damage = String(this.system.damage || '');
+    const level = damage.trim().charAt(0).toUpperCase();
+
+    return {
+      level: DAMAGE_LEVELS[level] && level !== 'N' ? level : 'M',
+      stun: /stun/i.test(damage) || /stun/i.test(this.name)
+    };
+  }
+
+  /**
+   * Get the drain of a spell cast at a Force
+   * A drain code using "(Wound Level)" or with no level takes the spell's damage level.
+   * Returns { code, power, level } or null when the drain code cannot be read.
+   */
+  getDrain(force = this.system.force) {
+    const drain = parseDrainCode(this.system.drain, Number(force) || 1);
+    if (!drain) return null;
+
+    return {
+      code: drain.code,
+      power: drain.power,
+      level: drain.level || this.getSpellDamage().level
+    };
+  }
+
+  /**
+   * Get the armor rating type that resists this weapon
+   * Ranged weapons are resisted with ballistic armor, melee with impact
+   */
+  getArmorType() {
+    // Flechettes are stopped by impact armor
+    if (parseDamageCode(this.system.damage)?.flechette) return 'impact';
+    return this.system.weaponType === 'ranged' ? 'ballistic' : 'impact';
+  }
+
   /**
    * Prepare a data object which is passed to any Roll formulas
    */
@@ -0,0 +1,667 @@
+/**
+ * Opposed Tests for Shadowrun 2E
+ * The initiator rolls against a targeted token and the defender answers from the chat card
+ */
+
+import { parseDamageCode, stageDamage, getDamageBoxes, getDamageLabel, getConjuringDrain } from "./damage.js";
+import { hasLineOfSight } from "./target-modifiers.js";
+
+/**
+ * Opposed test types and the skills, attribute and pool the defender may use
+ * Types that only the sheet's workflows start are not selectable in the roll dialog.
+ */
+export const OPPOSED_TEST_TYPES = {
+  melee: {
+    label: "Melee Combat",
+    skills: ["Armed Combat", "Unarmed Combat"],
+    attribute: "strength",
+    pool: "combat"
+  },
+  spell: {
+    label: "Spell Resistance",
+    skills: [],
+    attribute: "willpower",
+    pool: "spell"
+  },
+  social: {
+    label: "Social",
+    skills: ["Negotiation", "Etiquette", "Leadership", "Interrogation"],
+    attribute: "willpower",
+    pool: null
+  },
+  matrix: {
+    label: "Matrix Combat",
+    skills: ["Computer"],
+    attribute: "intelligence",
+    pool: "hacking"
+  },
+  attribute: {
+    label: "Attribute Contest",
+    skills: [],
+    attribute: "willpower",
+    pool: null
+  },
+  banishing: {
+    label: "Banishing",
+    skills: [],
+    attribute: "force",
+    pool: null,
+    selectable: false
+  },
+  control: {
+    label: "Spirit Control",
+    skills: ["Conjuring"],
+    attribute: "charisma",
+    pool: null,
+    selectable: false
+  }
+};
+
+/**
+ * Damage code for fighting without a weapon
+ */
+const UNARMED_DAMAGE = "(STR)M Stun";
+
+/**
+ * Opposed test card lists that users who do not own the card may add to
+ */
+const OPPOSED_TEST_LISTS = ["resolvedBy", "protection"];
+
+const ATTRIBUTE_LABELS = {
+  body: "Body",
+  quickness: "Quickness",
+  strength: "Strength",
+  charisma: "Charisma",
+  intelligence: "Intelligence",
+  willpower: "Willpower",
+  reaction: "Reaction",
+  magic: "Magic",
+  force: "Force"
+};
+
+export class SR2OpposedTest {
+
+  /**
+   * Get the opposed test type that fits a roll type from the sheet
+   */
+  static getDefaultType(rollType) {
+    return {
+      attack: 'melee',
+      spell: 'spell',
+      attribute: 'attribute'
+    }[rollType] || 'social';
+  }
+
+  /**
+   * Roll the initiator's side of an opposed test and post the test card
+   * Returns the initiator's roll result.
+   */
+  static async start(actor, { type = 'attribute', dicePool, targetNumber = 4, defenseTN = 4, title, targets = [], attack = null, spell = null, spiritContest = null, defenseAttribute = null }) {
+    const testType = OPPOSED_TEST_TYPES[type] || OPPOSED_TEST_TYPES.attribute;
+    const result = await actor.rollDice(dicePool, targetNumber, title, { lockKarma: true });
+
+    const targetNames = targets.map(uuid => fromUuidSync(uuid)?.name).filter(Boolean);
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `
+        <div class="opposed-test sr2-chat-card">
+          <h3>Opposed Test: ${testType.label}</h3>
+          <p><strong>${actor.name}:</strong> ${result.successes} success(es) vs TN ${targetNumber}</p>
+          ${targetNames.length > 0 ? `<p><strong>Defender:</strong> ${targetNames.join(', ')} (TN ${defenseTN})</p>` : `<p><strong>Defender TN:</strong> ${defenseTN}</p>`}
+          <div class="card-buttons">
+            <button type="button" data-action="roll-defense">
+              <i class="fas fa-shield-alt"></i> Roll Defense
+            </button>
+            ${type === 'spell' ? `
+            <button type="button" data-action="protect-spell">
+              <i class="fas fa-hand-sparkles"></i> Protect
+            </button>
+            ` : ''}
+          </div>
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          opposedTest: {
+            type: type,
+            title: title,
+            actorUuid: actor.uuid,
+            actorName: actor.name,
+            successes: result.successes,
+            isCriticalFailure: result.isCriticalFailure,
+            targetNumber: targetNumber,
+            defenseTN: defenseTN,
+            defenseAttribute: defenseAttribute,
+            targets: targets,
+            attack: attack,
+            spell: spell,
+            spiritContest: spiritContest,
+            resolvedBy: []
+          }
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the UUID a defender is recorded under on an opposed test card
+   * Token UUIDs resolve to the token's actor, the one that rolls the defense.
+   */
+  static getDefenderUuid(uuid) {
+    const document = fromUuidSync(uuid);
+    return (document instanceof Actor ? document : document?.actor)?.uuid || uuid;
+  }
+
+  /**
+   * Check whether every one of the given targets has rolled their defense
+   */
+  static isResolved(test, targets = test.targets) {
+    const resolved = test.resolvedBy || [];
+    return targets.length > 0 && targets.every(uuid => resolved.includes(this.getDefenderUuid(uuid)));
+  }
+
+  /**
+   * Add an entry to one of an opposed test card's lists
+   * Defenders rarely own the initiator's card, so they ask the active GM to add it.
+   */
+  static async addToTest(message, list, entry) {
+    if (!message.isOwner) {
+      if (!game.users.activeGM) {
+        ui.notifications.warn("A GM must be connected to update this chat card.");
+        return;
+      }
+
+      game.socket.emit("system.shadowrun2e", {
+        type: "opposedTestAdd",
+        messageId: message.id,
+        list: list,
+        entry: entry
+      });
+      return;
+    }
+
+    const test = message.getFlag("shadowrun2e", "opposedTest");
+    if (!test) return;
+    await message.update({ [`flags.shadowrun2e.opposedTest.${list}`]: [...(test[list] || []), entry] });
+  }
+
+  /**
+   * Handle an opposed test card entry sent by a player (active GM only)
+   */
+  static async _onAddRequest({ messageId, list, entry }) {
+    if (game.user !== game.users.activeGM || !OPPOSED_TEST_LISTS.includes(list)) return;
+
+    const message = game.messages.get(messageId);
+    if (message) await this.addToTest(message, list, entry);
+  }
+
+  /**
+   * Get the dice options a defender can roll for an opposed test type
+   * Lists matching skills first, then the defaulting attribute.
+   */
+  static getDefenseOptions(actor, test) {
+    const testType = OPPOSED_TEST_TYPES[test.type] || OPPOSED_TEST_TYPES.attribute;
+    const options = [];
+
+    for (const skillName of testType.skills) {
+      const rating = actor._getSkillRating ? actor._getSkillRating(skillName) : 0;
+      if (rating > 0) {
+        options.push({ key: `skill-${skillName}`, label: `${skillName} (${rating})`, dice: rating });
+      }
+    }
+
+    const attributeKey = test.defenseAttribute || testType.attribute;
+    const attributeValue = actor.system.attributes?.[attributeKey]?.value || 0;
+    options.push({
+      key: `attribute-${attributeKey}`,
+      label: `${ATTRIBUTE_LABELS[attributeKey] || attributeKey} (${attributeValue})`,
+      dice: attributeValue
+    });
+
+    return options;
+  }
+
+  /**
+   * Get the melee weapons a defender can fight back with, unarmed last
+   * Each option carries the reach it fights at and the defense TN that reach gives
+   * against the attacker's reach.
+   */
+  static getMeleeOptions(actor, test) {
+    const weapons = actor.items.filter(i => i.type === 'weapon' && i.system.weaponType === 'melee');
+    const attackerReach = test.attack?.reach || 0;
+
+    return [
+      ...weapons.map(weapon => ({ id: weapon.id, label: `${weapon.name} (${weapon.system.damage})`, weapon, reach: actor.getMeleeReach(weapon), equipped: weapon.system.equipped })),
+      { id: '', label: `Unarmed (${UNARMED_DAMAGE})`, weapon: null, reach: actor.getMeleeReach({ system: { reach: 0 } }), equipped: true }
+    ].map(option => ({
+      ...option,
+      targetNumber: Math.max(2, test.defenseTN - Math.max(0, option.reach - attackerReach))
+    }));
+  }
+
+  /**
+   * Get the targets of a spell a magician can protect with their Spell Pool
+   * The magician's token must see the target, who has yet to resist the spell.
+   */
+  static getProtectableTargets(actor, test) {
+    const token = actor.getActiveTokens()[0];
+    if (!canvas.ready || !token) return [];
+
+    return test.targets
+      .map(uuid => fromUuidSync(uuid))
+      .map(document => document instanceof Actor ? document.getActiveTokens()[0] : document?.object)
+      .filter(target => target?.actor && target.actor !== actor && !test.resolvedBy?.includes(target.actor.uuid))
+      .filter(target => hasLineOfSight(token, target))
+      .map(target => ({ uuid: target.actor.uuid, name: target.name }));
+  }
+
+  /**
+   * Ask a magician which target to protect and with how many Spell Pool dice
+   * Resolves to { target, dice } or null when cancelled.
+   */
+  static async promptProtection(actor, targets) {
+    const available = actor.system.pools.spell.current;
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${actor.name} - Spell Defense`,
+        content: `
+          <div class="opposed-defense-dialog">
+            <div class="form-group">
+              <label for="protect-target">Protect:</label>
+              <select id="protect-target">
+                ${targets.map(target => `<option value="${target.uuid}">${target.name}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="protect-dice">Spell Pool Dice (${available} available):</label>
+              <input type="number" id="protect-dice" value="1" min="1" max="${available}">
+            </div>
+          </div>
+        `,
+        buttons: {
+          protect: {
+            icon: '<i class="fas fa-hand-sparkles"></i>',
+            label: "Protect",
+            callback: html => resolve({
+              target: targets.find(target => target.uuid === html.find('#protect-target').val()) || targets[0],
+              dice: Math.min(available, Math.max(0, parseInt(html.find('#protect-dice').val()) || 0))
+            })
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "protect",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Commit a magician's Spell Pool dice to a target's resistance of a spell
+   * The dice are spent now and recorded on the card, and the target adds them
+   * when they roll their defense.
+   */
+  static async protect(message, actor) {
+    const test = message.getFlag("shadowrun2e", "opposedTest");
+    if (!test) return null;
+
+    if ((actor.system.pools?.spell?.current || 0) <= 0) {
+      ui.notifications.warn(`${actor.name} has no Spell Pool dice left.`);
+      return null;
+    }
+
+    const targets = this.getProtectableTargets(actor, test);
+    if (targets.length === 0) {
+      ui.notifications.warn(`${actor.name} cannot see anyone left to protect from this spell.`);
+      return null;
+    }
+
+    const protection = await this.promptProtection(actor, targets);
+    if (!protection || protection.dice <= 0) return null;
+
+    const spent = await actor.spendPools({ spell: protection.dice }, `Spell defense for ${protection.target.name}`);
+    if (!spent.spell) return null;
+
+    const entry = { actorUuid: actor.uuid, name: actor.name, target: protection.target.uuid, dice: spent.spell };
+    await this.addToTest(message, 'protection', entry);
+    return entry;
+  }
+
+  /**
+   * Show the defense dialog for an opposed test
+   * Melee defenders also pick the weapon they fight back with and spell targets
+   * are shown the Spell Pool dice magicians have committed to protect them.
+   * Resolves to { dice, label, poolDice, targetNumber, weapon } or null when cancelled.
+   */
+  static async promptDefense(actor, test) {
+    const testType = OPPOSED_TEST_TYPES[test.type] || OPPOSED_TEST_TYPES.attribute;
+    const options = this.getDefenseOptions(actor, test);
+    const pool = testType.pool ? actor.system.pools?.[testType.pool] : null;
+    const poolAvailable = pool?.current || 0;
+    const sustaining = actor.getSustainingModifier?.() || 0;
+    const protection = (test.protection || []).filter(entry => entry.target === actor.uuid);
+
+    // Default to the longest equipped weapon, the one the attacker measured reach against
+    const meleeOptions = test.type === 'melee' ? this.getMeleeOptions(actor, test) : [];
+    const defaultMelee = meleeOptions
+      .filter(option => option.equipped)
+      .reduce((best, option) => (!best || option.reach > best.reach ? option : best), null);
+
+    return new Promise(resolve => {
+      new Dialog({
+        title: `${actor.name} - ${testType.label} Defense`,
+        content: `
+          <div class="opposed-defense-dialog">
+            <p><strong>${test.actorName}</strong> scored ${test.successes} success(es).</p>
+            <div class="form-group">
+              <label for="defense-option">Roll With:</label>
+              <select id="defense-option">
+                ${options.map(option => `<option value="${option.key}">${option.label}</option>`).join('')}
+              </select>
+            </div>
+            ${meleeOptions.length > 0 ? `
+            <div class="form-group">
+              <label for="defense-weapon">Fight Back With:</label>
+              <select id="defense-weapon">
+                ${meleeOptions.map(option => `<option value="${option.id}" ${option === defaultMelee ? 'selected' : ''}>${option.label}${option.reach > 0 ? ` [Reach ${option.reach}]` : ''}</option>`).join('')}
+              </select>
+            </div>
+            ` : ''}
+            <div class="form-group">
+              <label for="defense-tn">Target Number${sustaining > 0 ? ` (+${sustaining} sustaining spells)` : ''}:</label>
+              <input type="number" id="defense-tn" value="${(defaultMelee?.targetNumber ?? test.defenseTN) + sustaining}" min="2" max="30">
+            </div>
+            ${poolAvailable > 0 ? `
+            <div class="form-group">
+              <label for="defense-pool">${testType.pool.charAt(0).toUpperCase() + testType.pool.slice(1)} Pool Dice (${poolAvailable} available):</label>
+              <input type="number" id="defense-pool" value="0" min="0" max="${poolAvailable}">
+            </div>
+            ` : ''}
+            ${protection.map(entry => `<p>+${entry.dice} Spell Pool dice from ${entry.name}</p>`).join('')}
+          </div>
+        `,
+        buttons: {
+          roll: {
+            icon: '<i class="fas fa-dice-d6"></i>',
+            label: "Roll Defense",
+            callback: html => {
+              const option = options.find(o => o.key === html.find('#defense-option').val()) || options[0];
+              const poolDice = Math.min(poolAvailable, Math.max(0, parseInt(html.find('#defense-pool').val()) || 0));
+              const melee = meleeOptions.find(o => o.id === html.find('#defense-weapon').val());
+              resolve({
+                dice: option.dice,
+                label: option.label,
+                poolDice: poolDice,
+                targetNumber: parseInt(html.find('#defense-tn').val()) || test.defenseTN,
+                weapon: melee ? melee.weapon : null
+              });
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "roll",
+        render: html => {
+          // A weapon with more reach than the attacker's lowers the defense TN
+          html.find('#defense-weapon').change(event => {
+            const melee = meleeOptions.find(o => o.id === event.currentTarget.value);
+            if (melee) html.find('#defense-tn').val(melee.targetNumber + sustaining);
+          });
+        },
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Get the damage a melee defender deals when they win the opposed test
+   * Strength-based codes use the defender's modified Strength.
+   */
+  static getCounterAttack(actor, weapon) {
+    const damage = weapon
+      ? weapon.getDamageCode()
+      : parseDamageCode(UNARMED_DAMAGE, { strength: actor.getModifiedAttribute('strength') });
+    if (!damage) return null;
+
+    return {
+      source: weapon?.name || 'Unarmed',
+      power: damage.power,
+      level: damage.level,
+      stun: damage.stun,
+      armorType: 'impact',
+      armorMultiplier: damage.armorMultiplier
+    };
+  }
+
+  /**
+   * Roll the defender's side of an opposed test and post the outcome
+   * Net successes are the initiator's successes minus the defender's.
+   * A melee defender who wins deals their own weapon's damage instead.
+   * Each defender rolls once; the card records them before the dice are rolled.
+   */
+  static async rollDefense(message, actor) {
+    const test = message.getFlag("shadowrun2e", "opposedTest");
+    if (!test) return null;
+
+    if (test.resolvedBy?.includes(actor.uuid)) {
+      ui.notifications.warn(`${actor.name} has already rolled their defense against this test.`);
+      return null;
+    }
+
+    const testType = OPPOSED_TEST_TYPES[test.type] || OPPOSED_TEST_TYPES.attribute;
+    const defense = await this.promptDefense(actor, test);
+    if (!defense) return null;
+
+    // Another click may have rolled while the dialog was open
+    const current = message.getFlag("shadowrun2e", "opposedTest") || test;
+    if (current.resolvedBy?.includes(actor.uuid)) return null;
+    await this.addToTest(message, 'resolvedBy', actor.uuid);
+
+    // Spend pool dice
+    if (defense.poolDice > 0) {
+      await actor.spendPools({ [testType.pool]: defense.poolDice }, `${testType.label} defense`);
+    }
+
+    // Protecting magicians spent their Spell Pool when they committed the dice
+    const protection = (current.protection || []).filter(entry => entry.target === actor.uuid);
+    const allyDice = protection.reduce((total, entry) => total + entry.dice, 0);
+
+    let title = `${testType.label} Defense: ${defense.label} (TN ${defense.targetNumber})`;
+    if (defense.poolDice > 0) {
+      title += ` [+${defense.poolDice} pool]`;
+    }
+    if (allyDice > 0) {
+      title += ` [+${allyDice} spell defense from ${protection.map(entry => entry.name).join(', ')}]`;
+    }
+
+    const result = await actor.rollDice(Math.max(1, defense.dice + defense.poolDice + allyDice), defense.targetNumber, title, { lockKarma: true });
+    const netSuccesses = test.successes - result.successes;
+    const outcome = {
+      attackerSuccesses: test.successes,
+      defenderSuccesses: result.successes,
+      netSuccesses: netSuccesses,
+      winner: netSuccesses > 0 ? 'attacker' : (netSuccesses < 0 ? 'defender' : 'tie')
+    };
+
+    const counterAttack = test.type === 'melee' ? this.getCounterAttack(actor, defense.weapon) : null;
+    await this._postOutcome(test, actor, outcome, counterAttack);
+    return outcome;
+  }
+
+  /**
+   * Work out what a spell does to the defender once they have resisted it
+   * Combat spells stage their damage level up by every 2 net successes and the
+   * damage is applied straight away; other spells take effect with the net
+   * successes as their measure of success.
+   * Returns a summary of the effect.
+   */
+  static async _resolveSpell(test, defender, outcome) {
+    const spell = test.spell;
+    if (outcome.winner !== 'attacker') return `${spell.name} has no effect.`;
+
+    if (spell.category !== 'combat') {
+      return `${spell.name} takes effect with ${outcome.netSuccesses} net success(es).`;
+    }
+
+    const level = stageDamage(spell.level, -outcome.netSuccesses);
+    const boxes = getDamageBoxes(level);
+    const applied = await defender.applyDamage(boxes, { stun: spell.stun });
+
+    return `${spell.name} deals ${getDamageLabel(level)} ${spell.stun ? 'Stun' : 'Physical'} damage (${boxes} box(es))`
+      + `${applied.overflow > 0 ? `, ${applied.overflow} overflowing into Physical` : ''}.`;
+  }
+
+  /**
+   * Work out a banishing or a contest of control over a spirit
+   * A banisher's net successes first strip the services the spirit owes, then
+   * its Force. A spirit stripped of its last service departs and one reduced
+   * to Force 0 is banished; either way it is released from its summoner, who
+   * can no longer order it. In a contest of control the summoner defending
+   * their spirit resists drain too, and a winning challenger takes over the
+   * spirit with the services it still owes.
+   * Returns a summary of the effect.
+   */
+  static async _resolveSpiritContest(test, defender, outcome) {
+    const contest = test.spiritContest;
+
+    if (contest.kind === 'control') {
+      const charisma = defender.system.attributes?.charisma?.value || 1;
+      const drain = getConjuringDrain(contest.force, charisma);
+      const drainResult = await defender.rollDice(charisma, drain.power, `Spirit Control Drain (${drain.power}${drain.level})`);
+      await defender.applyDrain(drain, drainResult.successes, { source: `the contest for ${contest.spiritName}`, force: contest.force });
+
+      if (outcome.winner !== 'attacker') return `${defender.name} keeps control of ${contest.spiritName}.`;
+
+      const document = await fromUuid(contest.spiritUuid);
+      const spirit = document instanceof Actor ? document : document?.actor;
+      if (!spirit?.isOwner) return `${test.actorName} wins control of ${contest.spiritName}; ask your GM to hand the spirit over.`;
+
+      await spirit.logService(`Control taken from ${defender.name}`, {
+        by: test.actorName,
+        changes: {
+          'system.summoner': test.actorName,
+          'system.summonerUuid': test.actorUuid,
+          [`ownership.${contest.userId}`]: CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER
+        }
+      });
+      return `${test.actorName} takes control of ${contest.spiritName}, which owes ${spirit.system.services} service(s).`;
+    }
+
+    if (outcome.winner !== 'attacker') return `${defender.name} resists the banishing.`;
+
+    const services = Number(defender.system.services) || 0;
+    const servicesLost = Math.min(services, outcome.netSuccesses);
+    const forceLost = outcome.netSuccesses - servicesLost;
+    const force = Math.max(0, (defender.system.attributes?.force?.value || 1) - forceLost);
+    const banished = force <= 0;
+    const departs = !banished && services > 0 && services === servicesLost;
+
+    const changes = { 'system.services': services - servicesLost, 'system.attributes.force.value': force };
+    if (banished || departs) {
+      changes['system.summoner'] = '';
+      changes['system.summonerUuid'] = '';
+    }
+    await defender.logService(`Banishing: -${servicesLost} service(s)${forceLost > 0 ? `, -${forceLost} Force` : ''}`, {
+      by: test.actorName,
+      changes: changes
+    });
+
+    let summary = `${defender.name} loses ${servicesLost} service(s)${forceLost > 0 ? ` and ${forceLost} Force` : ''}`;
+    if (banished) summary += ' and is banished.';
+    else if (departs) summary += ' and departs, freed from its summoner.';
+    else summary += '.';
+    return summary;
+  }
+
+  /**
+   * Post the result of a resolved opposed test
+   * When the initiator wins an attack, the card carries the attack forward
+   * so the loser can resist the damage; a melee defender who wins strikes back
+   * and a spell that gets through takes effect.
+   */
+  static async _postOutcome(test, defender, outcome, counterAttack = null) {
+    const testType = OPPOSED_TEST_TYPES[test.type] || OPPOSED_TEST_TYPES.attribute;
+    let summary;
+    if (outcome.winner === 'attacker') {
+      summary = `${test.actorName} wins with ${outcome.netSuccesses} net success(es).`;
+    } else if (outcome.winner === 'defender') {
+      summary = `${defender.name} wins with ${-outcome.netSuccesses} net success(es).`;
+    } else {
+      summary = "Tie: neither side gains the upper hand.";
+    }
+
+    let attack = null;
+    if (test.attack && outcome.winner === 'attacker') {
+      attack = { ...test.attack, successes: outcome.netSuccesses, targets: [defender.token?.uuid || defender.uuid] };
+    } else if (counterAttack && outcome.winner === 'defender') {
+      attack = { ...counterAttack, successes: -outcome.netSuccesses, targets: [test.actorUuid] };
+      summary += ` ${defender.name} strikes back with ${counterAttack.source} (${counterAttack.power}${counterAttack.level}${counterAttack.stun ? ' Stun' : ''}).`;
+    }
+
+    if (test.spell) {
+      summary += ` ${await this._resolveSpell(test, defender, outcome)}`;
+    }
+
+    // A sustained spell that gets through stays up; the caster's owner confirms
+    // it from the card when they did not roll the defense themselves
+    let sustain = null;
+    if (test.spell?.sustain && outcome.winner === 'attacker') {
+      const caster = fromUuidSync(test.actorUuid);
+      const entry = { ...test.spell.sustain, name: test.spell.name, force: test.spell.force, successes: outcome.netSuccesses };
+      if (caster?.isOwner) {
+        const sustained = await caster.sustainSpell(entry);
+        if (sustained) await caster.postSustainedSpell(sustained);
+      } else {
+        sustain = { ...entry, actorUuid: test.actorUuid };
+      }
+    }
+
+    if (test.spiritContest) {
+      summary += ` ${await this._resolveSpiritContest(test, defender, outcome)}`;
+    }
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: defender }),
+      content: `
+        <div class="opposed-test opposed-result sr2-chat-card">
+          <h3>${testType.label}: ${test.actorName} vs ${defender.name}</h3>
+          <p><strong>${test.actorName}:</strong> ${outcome.attackerSuccesses} &nbsp; <strong>${defender.name}:</strong> ${outcome.defenderSuccesses}</p>
+          <p class="opposed-summary ${outcome.winner}">${summary}</p>
+          ${attack || sustain ? `
+          <div class="card-buttons">
+            ${attack ? `
+            <button type="button" data-action="resist-damage">
+              <i class="fas fa-shield-alt"></i> Resist Damage
+            </button>
+            ` : ''}
+            ${sustain ? `
+            <button type="button" data-action="sustain-spell">
+              <i class="fas fa-hourglass-half"></i> Sustain ${test.spell.name}
+            </button>
+            ` : ''}
+          </div>
+          ` : ''}
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          opposedResult: { ...outcome, type: test.type, actorUuid: test.actorUuid, defenderUuid: defender.uuid },
+          attack: attack,
+          sustainSpell: sustain
+        }
+      }
+    });
+  }
+}
@@ -11,6 +11,10 @@ import { SR2SpiritSheet } from "./actor/spirit-sheet.js";
 import { SR2Item } from "./item/item.js";
 import { SR2ItemSheet } from "./item/item-sheet.js";
 import { initializeInitiativeTracker } from "./initiative-tracker.js";
+import { initializeChatCards } from "./chat-cards.js";
+import { SR2OpposedTest } from "./opposed-test.js";
+import { SR2Combat, SR2Combatant, initializeCombatTracker } from "./combat.js";
+import { registerDice } from "./dice.js";
 import { SR2ItemBrowser } from "./item-browser.js";
 import { SR2DataImporter } from "./data-importer.js";
 import { SR2CharacterImporter } from "./character-importer.js";
@@ -39,6 +43,11 @@ Hooks.once("init", async function () {
     // Assign custom classes and constants
     CONFIG.Actor.documentClass = SR2Actor;
     CONFIG.Item.documentClass = SR2Item;
+    CONFIG.Combat.documentClass = SR2Combat;
+    CONFIG.Combatant.documentClass = SR2Combatant;
+
+    // Register the SR2 roll classes
+    registerDice();
 
     // Set default actor icons
     CONFIG.Actor.typeIcons = {
@@ -140,8 +149,18 @@ Hooks.once("init", async function () {
     // Initialize initiative tracker
     initializeInitiativeTracker();
 
+    // Activate chat card buttons
+    initializeChatCards();
+
+    // Show initiative passes in the Combat tracker
+    initializeCombatTracker();
+
     // Expose data importer globally for debugging
     window.SR2DataImporter = SR2DataImporter;
+
+    // Expose the opposed test API for macros
+    game.shadowrun2e = game.shadowrun2e || {};
+    game.shadowrun2e.SR2OpposedTest = SR2OpposedTest;
 });
 
 /* -------------------------------------------- */
@@ -167,6 +186,15 @@ function registerSystemSettings() {
         default: false
     });
 
+    game.settings.register("shadowrun2e", "initiativeTracker", {
+        name: "Initiative Tracker State",
+        hint: "Combatants, phase and turn of the shared initiative tracker",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     game.settings.registerMenu("shadowrun2e", "dataImport", {
         name: "Import System Data",
         label: "Import Data",
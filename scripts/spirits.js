@@ -0,0 +1,362 @@
+/**
+ * Spirits for Shadowrun 2E
+ * Spirit types, conjuring, the spirit actors it creates and their powers
+ */
+
+import { parseDamageCode } from "./damage.js";
+import { SR2OpposedTest } from "./opposed-test.js";
+
+/**
+ * Spirit types by the key stored on spirit actors
+ * Hermetics conjure elementals; shamans summon nature spirits, which are
+ * bound to a domain named by the keywords in their totem's environment.
+ * Types without a tradition are kept for older spirit actors.
+ */
+export const SPIRIT_TYPES = {
+  air: { label: "Air Elemental", tradition: "hermetic" },
+  earth: { label: "Earth Elemental", tradition: "hermetic" },
+  fire: { label: "Fire Elemental", tradition: "hermetic" },
+  water: { label: "Water Elemental", tradition: "hermetic" },
+  city: { label: "City Spirit", tradition: "shamanic", domain: ["urban", "city"] },
+  field: { label: "Field Spirit", tradition: "shamanic", domain: ["field", "farm"] },
+  hearth: { label: "Hearth Spirit", tradition: "shamanic", domain: ["urban", "city", "field", "home"] },
+  desert: { label: "Desert Spirit", tradition: "shamanic", domain: ["desert", "land"] },
+  forest: { label: "Forest Spirit", tradition: "shamanic", domain: ["forest", "jungle", "land"] },
+  mountain: { label: "Mountain Spirit", tradition: "shamanic", domain: ["mountain", "land"] },
+  prairie: { label: "Prairie Spirit", tradition: "shamanic", domain: ["prairie", "plains", "savannah", "land"] },
+  storm: { label: "Storm Spirit", tradition: "shamanic", domain: ["sky"] },
+  wind: { label: "Wind Spirit", tradition: "shamanic", domain: ["sky"] },
+  lake: { label: "Lake Spirit", tradition: "shamanic", domain: ["lake", "water"] },
+  river: { label: "River Spirit", tradition: "shamanic", domain: ["river", "stream", "water"] },
+  sea: { label: "Sea Spirit", tradition: "shamanic", domain: ["sea", "water"] },
+  swamp: { label: "Swamp Spirit", tradition: "shamanic", domain: ["swamp", "water"] },
+  elemental: { label: "Elemental", tradition: null },
+  nature: { label: "Nature Spirit", tradition: null },
+  man: { label: "Man Spirit", tradition: null },
+  ancestor: { label: "Ancestor Spirit", tradition: null },
+  task: { label: "Task Spirit", tradition: null },
+  guidance: { label: "Guidance Spirit", tradition: null },
+  plant: { label: "Plant Spirit", tradition: null },
+  beast: { label: "Beast Spirit", tradition: null },
+  toxic: { label: "Toxic Spirit", tradition: null }
+};
+
+/**
+ * Spirit attributes derived from the stats table, in sheet order
+ */
+export const SPIRIT_ATTRIBUTES = {
+  body: "Body",
+  quickness: "Quickness",
+  strength: "Strength",
+  charisma: "Charisma",
+  intelligence: "Intelligence",
+  willpower: "Willpower",
+  reaction: "Reaction"
+};
+
+/**
+ * How a spirit power is used
+ * Attacks roll Quickness and deal damage with the Force as Power; tests roll
+ * the Force against the target, who resists with an attribute; the rest
+ * simply take effect.
+ */
+export const SPIRIT_POWER_MODES = {
+  attack: { label: "Attack" },
+  test: { label: "Opposed Test" },
+  activate: { label: "Activate" }
+};
+
+/**
+ * Rules data for spirit powers by name
+ * Damage is the level and Stun flag; the Power is the spirit's Force. Powers
+ * used as a service count against the services the spirit owes its summoner.
+ */
+export const SPIRIT_POWERS = {
+  "Accident": { mode: "test", resistAttribute: "quickness", service: true, description: "Causes the target to trip, drop something or suffer a similar mishap." },
+  "Alienation": { mode: "test", resistAttribute: "willpower", service: true, description: "Cuts the target off from everyone around them; nobody notices or responds to them." },
+  "Astral Form": { mode: "activate", service: false, description: "The spirit dwells on the astral plane and can materialize or manifest at will." },
+  "Binding": { mode: "test", resistAttribute: "strength", service: true, description: "Holds the target fast; each net success is needed again to break free." },
+  "Concealment": { mode: "activate", service: true, description: "Hides the spirit or those it protects within its domain, adding to the TN of anyone searching." },
+  "Confusion": { mode: "test", resistAttribute: "willpower", service: true, description: "Fills the target with confusion; they lose their way and add to the TN of their tests." },
+  "Electrical Projection": { mode: "attack", damage: "S Stun", armorType: "none", service: true, description: "Strikes the target with a bolt of electricity." },
+  "Engulf": { mode: "attack", damage: "S", armorType: "none", service: true, description: "Envelops the target, who takes damage each turn until they break free." },
+  "Fear": { mode: "test", resistAttribute: "willpower", service: true, description: "Fills the target with terror; they flee or cower for a turn per net success." },
+  "Flame Aura": { mode: "activate", service: false, description: "Wreathes the spirit in flame; anyone who touches it takes fire damage." },
+  "Flame Projection": { mode: "attack", damage: "S", armorType: "impact", service: true, description: "Hurls a gout of flame at the target, resisted with impact armor." },
+  "Guard": { mode: "activate", service: true, description: "Protects the spirit's charges from accidents and attacks made with its powers." },
+  "Manifestation": { mode: "activate", service: false, description: "Shows the spirit's astral form to the physical world without materializing; it can be seen and heard but cannot act physically." },
+  "Materialization": { mode: "activate", service: false, description: "Takes on a physical form. Attacks whose Power doesn't exceed twice the Force cannot harm it." },
+  "Movement": { mode: "activate", service: true, description: "Multiplies or divides the movement rate of the target within the spirit's domain by the Force." },
+  "Noxious Breath": { mode: "attack", damage: "S Stun", armorType: "none", service: true, description: "Breathes a choking cloud over the target." },
+  "Psychokinesis": { mode: "activate", service: true, description: "Moves objects at a distance with a Strength equal to the Force." },
+  "Search": { mode: "activate", service: true, description: "Searches the spirit's domain for a person or object, taking less time for every success." }
+};
+
+/**
+ * Powers every spirit has regardless of type
+ */
+const SPIRIT_BASE_POWERS = ["Astral Form", "Materialization"];
+
+/**
+ * Spirit stat blocks by type
+ * Body, Quickness, Strength and Reaction are modifiers to the Force; Charisma,
+ * Intelligence and Willpower equal the Force. Types without an entry are
+ * statted by hand on the sheet.
+ */
+const SPIRIT_STATS = {
+  air: { body: -2, quickness: 3, strength: -3, reaction: 4, dice: 1, powers: ["Engulf", "Movement", "Noxious Breath", "Psychokinesis"] },
+  earth: { body: 4, quickness: -2, strength: 4, reaction: -1, dice: 1, powers: ["Engulf", "Movement"] },
+  fire: { body: 1, quickness: 2, strength: -2, reaction: 1, dice: 1, powers: ["Engulf", "Flame Aura", "Flame Projection", "Movement"] },
+  water: { body: 2, quickness: 0, strength: 0, reaction: 0, dice: 1, powers: ["Engulf", "Movement"] },
+  city: { body: 1, quickness: 2, strength: -2, reaction: 2, dice: 1, powers: ["Accident", "Alienation", "Concealment", "Confusion", "Fear", "Guard", "Search"] },
+  field: { body: 3, quickness: -1, strength: 1, reaction: 0, dice: 1, powers: ["Accident", "Concealment", "Guard", "Search"] },
+  hearth: { body: 1, quickness: 1, strength: -2, reaction: 1, dice: 1, powers: ["Accident", "Alienation", "Concealment", "Confusion", "Guard", "Search"] },
+  desert: { body: 1, quickness: 2, strength: -1, reaction: 2, dice: 1, powers: ["Accident", "Concealment", "Guard", "Movement", "Search"] },
+  forest: { body: 1, quickness: 0, strength: 2, reaction: 0, dice: 1, powers: ["Accident", "Concealment", "Confusion", "Fear", "Guard"] },
+  mountain: { body: 4, quickness: -2, strength: 4, reaction: -1, dice: 1, powers: ["Accident", "Concealment", "Guard", "Movement", "Search"] },
+  prairie: { body: 1, quickness: 2, strength: 0, reaction: 2, dice: 1, powers: ["Accident", "Alienation", "Concealment", "Guard", "Movement", "Search"] },
+  storm: { body: -2, quickness: 3, strength: -3, reaction: 3, dice: 1, powers: ["Concealment", "Confusion", "Electrical Projection", "Fear"] },
+  wind: { body: -2, quickness: 3, strength: -3, reaction: 3, dice: 1, powers: ["Accident", "Concealment", "Confusion", "Movement", "Search"] },
+  lake: { body: 2, quickness: 0, strength: 0, reaction: 0, dice: 1, powers: ["Accident", "Engulf", "Fear", "Guard", "Movement", "Search"] },
+  river: { body: 2, quickness: 1, strength: 0, reaction: 1, dice: 1, powers: ["Accident", "Concealment", "Engulf", "Fear", "Guard", "Movement", "Search"] },
+  sea: { body: 4, quickness: -1, strength: 2, reaction: -1, dice: 1, powers: ["Accident", "Alienation", "Concealment", "Engulf", "Fear", "Guard", "Movement", "Search"] },
+  swamp: { body: 1, quickness: 0, strength: 1, reaction: 0, dice: 1, powers: ["Accident", "Binding", "Concealment", "Confusion", "Engulf", "Fear", "Guard", "Movement", "Search"] }
+};
+
+export class SR2Conjuring {
+
+  /**
+   * Get the spirit types a magician can conjure, as [{ key, label }]
+   * A shaman's selected totem narrows nature spirits to those whose domain
+   * appears in its environment; "Anywhere" and unknown environments allow all.
+   */
+  static getSpiritTypes(actor) {
+    const tradition = actor.system.magic?.tradition;
+    const types = Object.entries(SPIRIT_TYPES)
+      .filter(([, type]) => type.tradition === tradition)
+      .map(([key, type]) => ({ key, ...type }));
+    if (tradition !== 'shamanic') return types;
+
+    const totem = actor.items.find(i => i.type === 'totem' && i.system.isSelected);
+    const environment = String(totem?.system.environment || '').toLowerCase();
+    const matching = types.filter(type => type.domain.some(keyword => environment.includes(keyword)));
+    return matching.length > 0 ? matching : types;
+  }
+
+  /**
+   * Check whether a spirit type is bound to its summoner until its services run out
+   * Elementals are bound; nature spirits serve for a single sunrise or sunset.
+   */
+  static isBound(typeKey) {
+    return SPIRIT_TYPES[typeKey]?.tradition === 'hermetic' || typeKey === 'elemental';
+  }
+
+  /**
+   * Get the stat block of a spirit type at a Force
+   * Resolves to { attributes, dice, powers }, or null for types statted by hand.
+   */
+  static getSpiritStats(typeKey, force) {
+    const stats = SPIRIT_STATS[typeKey];
+    if (!stats) return null;
+
+    force = Math.max(1, Number(force) || 1);
+    const attributes = {};
+    for (const key of Object.keys(SPIRIT_ATTRIBUTES)) {
+      attributes[key] = Math.max(1, force + (stats[key] || 0));
+    }
+
+    return {
+      attributes: attributes,
+      dice: stats.dice,
+      powers: [...SPIRIT_BASE_POWERS, ...stats.powers]
+    };
+  }
+
+  /**
+   * Get the item data for a spirit power from the rules data
+   * Powers missing from the table are created as activated powers to fill in by hand.
+   */
+  static getPowerItemData(name) {
+    const power = SPIRIT_POWERS[name] || { mode: "activate", service: true, description: "" };
+
+    return {
+      name: name,
+      type: "spiritpower",
+      system: {
+        description: power.description,
+        mode: power.mode,
+        damage: power.damage || "",
+        armorType: power.armorType || "impact",
+        resistAttribute: power.resistAttribute || "willpower",
+        service: power.service
+      }
+    };
+  }
+
+  /**
+   * Create the spirit actor for a successful conjuring and place its token
+   * The spirit is owned by the conjuring user, owes one service per success and
+   * links back to its summoner. Its token is placed beside the summoner's.
+   */
+  static async createSpirit(summoner, typeKey, force, services) {
+    if (!game.user.can("ACTOR_CREATE")) {
+      ui.notifications.warn("You do not have permission to create actors. Ask your GM to create the spirit.");
+      return null;
+    }
+
+    const type = SPIRIT_TYPES[typeKey] || SPIRIT_TYPES.nature;
+    const powers = this.getSpiritStats(typeKey, force)?.powers || [];
+    const spirit = await Actor.create({
+      name: `${type.label} (Force ${force})`,
+      type: "spirit",
+      ownership: { [game.user.id]: CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER },
+      system: {
+        spiritType: typeKey,
+        attributes: { force: { value: force } },
+        services: services,
+        summoner: summoner.name,
+        summonerUuid: summoner.uuid
+      },
+      items: powers.map(name => this.getPowerItemData(name))
+    });
+    await spirit?.logService(`Conjured with ${services} service(s)`, { by: summoner.name });
+
+    const summonerToken = summoner.getActiveTokens()[0];
+    if (spirit && summonerToken && canvas.ready && game.user.can("TOKEN_CREATE")) {
+      const tokenData = await spirit.getTokenDocument({
+        x: summonerToken.document.x + canvas.grid.size,
+        y: summonerToken.document.y
+      });
+      await canvas.scene.createEmbeddedDocuments("Token", [tokenData.toObject()]);
+    }
+
+    return spirit;
+  }
+}
+
+export class SR2SpiritPowers {
+
+  /**
+   * Use a spirit power
+   * Attacks and tests need a targeted token. A power used as a service is
+   * taken from the services a bound spirit owes before it is rolled.
+   */
+  static async use(spirit, power) {
+    const mode = SPIRIT_POWER_MODES[power.system.mode] ? power.system.mode : 'activate';
+    const targets = Array.from(game.user.targets);
+    if (mode !== 'activate' && targets.length === 0) {
+      ui.notifications.warn(`Target a token to use ${power.name}.`);
+      return null;
+    }
+
+    if (!await this.spendService(spirit, power)) return null;
+
+    if (mode === 'attack') return this._attack(spirit, power, targets);
+    if (mode === 'test') return this._test(spirit, power, targets);
+    return this._activate(spirit, power);
+  }
+
+  /**
+   * Take a service for a power from a bound spirit
+   * Spirits without a summoner, and powers that are not services, cost nothing.
+   * Returns false when the spirit has no services left to give.
+   */
+  static async spendService(spirit, power) {
+    const bound = !!(spirit.system.summoner || spirit.system.summonerUuid);
+    if (!power.system.service || !bound) return true;
+
+    if ((Number(spirit.system.services) || 0) <= 0) {
+      ui.notifications.warn(`${spirit.name} owes no more services and will not use ${power.name}.`);
+      return false;
+    }
+
+    const entry = await spirit.useService(power.name);
+    ui.notifications.info(`${power.name} uses a service. ${entry.remaining} services remaining.`);
+    return true;
+  }
+
+  /**
+   * Roll an attack power and post a card for the target to resist the damage
+   */
+  static async _attack(spirit, power, targets) {
+    const force = spirit.system.attributes.force?.value || 1;
+    const quickness = spirit.system.attributes.quickness?.value || 1;
+    const damage = parseDamageCode(`${force}${power.system.damage || 'M'}`);
+    const result = await spirit.rollDice(quickness, 4, `${power.name} Attack (Quickness ${quickness})`, { lockKarma: true });
+    const hit = result.successes > 0 && !result.isCriticalFailure;
+
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: spirit }),
+      content: `
+        <div class="spirit-power sr2-chat-card">
+          <h3>${power.name}</h3>
+          <p><strong>Damage Code:</strong> ${damage?.code || power.system.damage} (${power.system.armorType === 'none' ? 'no' : power.system.armorType} armor)</p>
+          <p><strong>Attack Successes:</strong> ${result.successes}</p>
+          <p><strong>Target:</strong> ${targets.map(token => token.name).join(', ')}</p>
+          ${hit && damage ? `
+          <div class="card-buttons">
+            <button type="button" data-action="resist-damage">
+              <i class="fas fa-shield-alt"></i> Resist Damage
+            </button>
+          </div>
+          ` : `<p class="attack-missed">${hit ? 'Damage code could not be read.' : 'The attack misses.'}</p>`}
+        </div>
+      `,
+      flags: {
+        shadowrun2e: {
+          attack: damage ? {
+            source: power.name,
+            power: damage.power,
+            level: damage.level,
+            stun: damage.stun,
+            armorType: power.system.armorType || 'impact',
+            armorMultiplier: 1,
+            successes: result.successes,
+            targets: targets.map(token => token.document.uuid)
+          } : null
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Roll the Force against the target's attribute as an opposed test
+   * The target resists with the same attribute against the Force.
+   */
+  static async _test(spirit, power, targets) {
+    const force = spirit.system.attributes.force?.value || 1;
+    const attribute = power.system.resistAttribute || 'willpower';
+    const targetNumber = Math.max(2, ...targets.map(token => token.actor?.system.attributes?.[attribute]?.value || 4));
+
+    return SR2OpposedTest.start(spirit, {
+      type: 'attribute',
+      dicePool: force,
+      targetNumber: targetNumber,
+      defenseTN: force,
+      defenseAttribute: attribute,
+      title: `${power.name} (Force ${force})`,
+      targets: targets.map(token => token.document.uuid)
+    });
+  }
+
+  /**
+   * Post an activated power to chat
+   */
+  static async _activate(spirit, power) {
+    await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: spirit }),
+      content: `
+        <div class="spirit-power sr2-chat-card">
+          <h3>${spirit.name} uses ${power.name}</h3>
+          <p><strong>Force:</strong> ${spirit.system.attributes.force?.value || 1}</p>
+          ${power.system.description ? `<p>${power.system.description}</p>` : ''}
+        </div>
+      `
+    });
+    return null;
+  }
+}
\ No newline at end of file
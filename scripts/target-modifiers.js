@@ -0,0 +1,171 @@
+/**
+ * Target Number Modifiers for Shadowrun 2E
+ * Builds the itemized situational modifiers offered on ranged attacks
+ */
+
+/**
+ * Range bands in order with the base Target Number for each
+ */
+export const RANGE_BANDS = {
+  short: { label: "Short", tn: 4 },
+  medium: { label: "Medium", tn: 5 },
+  long: { label: "Long", tn: 6 },
+  extreme: { label: "Extreme", tn: 9 }
+};
+
+/**
+ * Range types from earlier versions of the item sheet and the ranges.json entry they use
+ */
+const LEGACY_RANGE_TYPES = {
+  pistol: '(HPist)',
+  smg: '(SMG)',
+  rifle: '(AsRf)',
+  shotgun: '(ShtG)',
+  bow: '(Bow)',
+  crossbow: '(MCB)'
+};
+
+/**
+ * Scene grid units and their length in meters
+ */
+const UNIT_METERS = {
+  m: 1,
+  meter: 1,
+  meters: 1,
+  km: 1000,
+  ft: 0.3048,
+  feet: 0.3048,
+  yd: 0.9144,
+  yards: 0.9144,
+  mi: 1609.344
+};
+
+let rangesData = null;
+
+/**
+ * Situational ranged combat modifiers the attacker can toggle on
+ */
+export const RANGED_MODIFIERS = {
+  partialLight: { label: "Partial light", value: 2 },
+  minimalLight: { label: "Minimal light", value: 4 },
+  fullDarkness: { label: "Full darkness", value: 8 },
+  attackerWalking: { label: "Attacker walking", value: 1 },
+  attackerRunning: { label: "Attacker running", value: 4 },
+  attackerInMelee: { label: "Attacker in melee combat", value: 2 },
+  calledShot: { label: "Called shot", value: 4 }
+};
+
+/**
+ * Load the weapon range table from ranges.json
+ */
+export async function loadRangesData() {
+  if (rangesData) return rangesData;
+
+  try {
+    const response = await fetch('/systems/shadowrun2e/data/ranges.json');
+    rangesData = await response.json();
+    return rangesData;
+  } catch (error) {
+    console.error('SR2E | Failed to load ranges data:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the ranges.json key for a weapon's range type
+ */
+export function resolveRangeType(rangeType) {
+  return LEGACY_RANGE_TYPES[rangeType] || rangeType || '';
+}
+
+/**
+ * Get the range bands of a weapon, or null if its range type is unknown
+ */
+export async function getWeaponRanges(weapon) {
+  const data = await loadRangesData();
+  return data?.[resolveRangeType(weapon.system.rangeType)] || null;
+}
+
+/**
+ * Get the range band for a distance from a ranges.json entry
+ * Returns null when the distance is beyond Extreme range.
+ */
+export function getRangeBand(ranges, distance) {
+  if (!ranges) return null;
+  return Object.keys(RANGE_BANDS).find(band => distance <= (Number(ranges[band]) || 0)) || null;
+}
+
+/**
+ * Get the length of one scene unit in meters
+ * Scenes measured in other units are converted; the system measures in meters.
+ */
+export function getMetersPerUnit() {
+  const units = String(canvas.scene.grid.units || game.system.grid?.units || 'm').trim().toLowerCase();
+  return UNIT_METERS[units] ?? 1;
+}
+
+/**
+ * Get the number of canvas pixels in one meter
+ */
+export function getPixelsPerMeter() {
+  return canvas.dimensions.size / canvas.dimensions.distance / getMetersPerUnit();
+}
+
+/**
+ * Measure the distance between two tokens in meters
+ */
+export function measureTokenDistance(source, target) {
+  const distance = canvas.grid.measurePath
+    ? canvas.grid.measurePath([source.center, target.center]).distance
+    : canvas.grid.measureDistance(source.center, target.center, { gridSpaces: true });
+
+  return distance * getMetersPerUnit();
+}
+
+/**
+ * Check whether walls block sight between two tokens
+ */
+export function hasLineOfSight(source, target) {
+  const backend = CONFIG.Canvas.polygonBackends?.sight;
+  if (!backend) return true;
+  return !backend.testCollision(source.center, target.center, { type: 'sight', mode: 'any' });
+}
+
+/**
+ * Build the TN modifiers for a ranged attack
+ * The range band adjusts the Short range TN of 4, sighting aids reduce it
+ * and situational modifiers are listed switched off for the attacker to pick.
+ * Each modifier is { key, label, value, enabled }.
+ */
+export function getRangedModifiers(actor, weapon, { ranges = null, distance = null } = {}) {
+  const modifiers = [];
+
+  const band = distance !== null ? getRangeBand(ranges, distance) : null;
+  if (band) {
+    modifiers.push({
+      key: 'range',
+      label: `${RANGE_BANDS[band].label} range (${Math.round(distance)}m)`,
+      value: RANGE_BANDS[band].tn - RANGE_BANDS.short.tn,
+      enabled: true
+    });
+  }
+
+  // A smartlink needs both the smartgun and the shooter's link; it replaces a laser sight
+  const accessories = weapon.system.accessories || {};
+  if (accessories.smartlink && actor.hasSmartlink?.()) {
+    modifiers.push({ key: 'smartlink', label: "Smartlink", value: -2, enabled: true });
+  } else if (accessories.laserSight) {
+    modifiers.push({ key: 'laserSight', label: "Laser sight", value: -1, enabled: true });
+  }
+
+  for (const [key, modifier] of Object.entries(RANGED_MODIFIERS)) {
+    modifiers.push({ key, ...modifier, enabled: false });
+  }
+
+  const wounds = actor.system.wounds?.tn || 0;
+  if (wounds > 0) {
+    modifiers.push({ key: 'wounds', label: "Wounds", value: wounds, enabled: !actor.system.wounds.ignore });
+  }
+
+  return modifiers;
+}
\ No newline at end of file